@@ -0,0 +1,215 @@
+/**
+ * Server configuration
+ * Settings come from (lowest to highest precedence) built-in defaults, a JSON or YAML
+ * config file, environment variables and command-line flags. Every value is validated
+ * up front so a typo stops the server with a message naming the setting and its source.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+
+const ROOT = path.join(__dirname, '..');
+
+class ConfigError extends Error { }
+
+/**
+ * One entry per setting. `key` is its dotted path in the config file and in the loaded
+ * config object; `env` and `flag` are how it is set from the environment and command line.
+ */
+const OPTIONS = [
+  { key: 'port', env: 'PORT', flag: 'port', type: 'integer', min: 1, max: 65535, default: 3000, describe: 'HTTP port' },
+  { key: 'bindAddress', env: 'BIND_ADDRESS', flag: 'bind', type: 'string', default: '0.0.0.0', describe: 'Address to listen on (127.0.0.1 keeps the server off the network)' },
+  { key: 'relayMode', env: 'RELAY_MODE', flag: 'relay-mode', type: 'enum', values: ['p2p', 'sfu'], default: 'p2p', describe: 'p2p (host connects to each listener) or sfu (server relays one host track)' },
+  { key: 'maxListeners', env: 'MAX_LISTENERS', flag: 'max-listeners', type: 'integer', min: 0, max: 100000, default: 0, describe: 'Listeners per channel, WebRTC and HTTP combined (0 = unlimited)' },
+  { key: 'logLevel', env: 'LOG_LEVEL', flag: 'log-level', type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: 'info', describe: 'error, warn, info or debug' },
+  { key: 'logFormat', env: 'LOG_FORMAT', flag: 'log-format', type: 'enum', values: ['pretty', 'json'], default: 'pretty', describe: 'pretty (emoji lines for a terminal) or json (one object per line)' },
+  { key: 'auth.hostPassword', env: 'HOST_PASSWORD', flag: 'host-password', type: 'string', default: null, describe: 'Password for remote host consoles (default: a PIN printed at startup)' },
+  { key: 'auth.sessionTimeout', env: 'SESSION_TIMEOUT', flag: 'session-timeout', type: 'integer', min: 60, max: 30 * 24 * 60 * 60, default: 24 * 60 * 60, describe: 'Host and listener session lifetime in seconds' },
+  { key: 'ice.lanOnly', env: 'LAN_ONLY', flag: 'lan-only', type: 'boolean', default: false, describe: 'No STUN/TURN at all, for networks without internet access' },
+  { key: 'ice.stunUrls', env: 'STUN_URLS', flag: 'stun-urls', type: 'list', default: ['stun:stun.l.google.com:19302'], describe: 'Comma-separated STUN URLs (empty disables)' },
+  { key: 'ice.turnUrls', env: 'TURN_URLS', flag: 'turn-urls', type: 'list', default: [], describe: 'Comma-separated TURN URLs' },
+  { key: 'ice.turnSecret', env: 'TURN_SECRET', flag: 'turn-secret', type: 'string', default: null, describe: 'coturn static-auth-secret for time-limited credentials' },
+  { key: 'ice.turnUsername', env: 'TURN_USERNAME', flag: 'turn-username', type: 'string', default: null, describe: 'Static TURN username' },
+  { key: 'ice.turnCredential', env: 'TURN_CREDENTIAL', flag: 'turn-credential', type: 'string', default: null, describe: 'Static TURN password' },
+  { key: 'ice.turnTtl', env: 'TURN_TTL', flag: 'turn-ttl', type: 'integer', min: 60, max: 7 * 24 * 60 * 60, default: 24 * 60 * 60, describe: 'Lifetime of time-limited TURN credentials in seconds' },
+  { key: 'tls.enabled', env: 'HTTPS', flag: 'https', type: 'boolean', default: false, describe: 'Serve HTTPS (with a generated self-signed certificate unless certFile/keyFile are set)' },
+  { key: 'tls.certFile', env: 'TLS_CERT', flag: 'tls-cert', type: 'path', default: null, describe: 'PEM certificate (chain) to use instead of a self-signed one; turns HTTPS on' },
+  { key: 'tls.keyFile', env: 'TLS_KEY', flag: 'tls-key', type: 'path', default: null, describe: 'PEM private key for tls.certFile' },
+  { key: 'tls.dir', env: 'TLS_DIR', flag: 'tls-dir', type: 'path', default: path.join(ROOT, 'certs'), describe: 'Where the self-signed certificate is cached' },
+  { key: 'tls.redirectPort', env: 'HTTP_REDIRECT_PORT', flag: 'http-redirect-port', type: 'integer', min: 0, max: 65535, default: 0, describe: 'Plain HTTP port that redirects to HTTPS (0 = off)' },
+  { key: 'mdns.enabled', env: 'MDNS', flag: 'mdns', type: 'boolean', default: true, describe: 'Advertise the server over mDNS/Bonjour as <mdns.name>.local' },
+  { key: 'mdns.name', env: 'MDNS_NAME', flag: 'mdns-name', type: 'string', default: 'audioshare', describe: 'mDNS hostname, without .local' },
+  { key: 'audio.bitrateKbps', env: 'DEFAULT_BITRATE', flag: 'bitrate', type: 'integer', min: 32, max: 510, default: 510, describe: 'Default maximum Opus bitrate in kbps' },
+  { key: 'audio.latencyMs', env: 'DEFAULT_LATENCY', flag: 'latency', type: 'integer', min: 0, max: 5000, default: 150, describe: 'Default listener jitter buffer target in ms' },
+  { key: 'recordingsDir', env: 'RECORDINGS_DIR', flag: 'recordings-dir', type: 'path', default: path.join(ROOT, 'recordings'), describe: 'Where recordings are saved' },
+  { key: 'historyDir', env: 'HISTORY_DIR', flag: 'history-dir', type: 'path', default: path.join(ROOT, 'history'), describe: 'Where broadcast history is stored' },
+  { key: 'bansFile', env: 'BANS_FILE', flag: 'bans-file', type: 'path', default: path.join(ROOT, 'bans.json'), describe: 'Where listener bans are stored' },
+  { key: 'schedulesFile', env: 'SCHEDULES_FILE', flag: 'schedules-file', type: 'path', default: path.join(ROOT, 'schedules.json'), describe: 'Where scheduled broadcasts are stored' },
+  { key: 'mediaDir', env: 'MEDIA_DIR', flag: 'media-dir', type: 'path', default: path.join(ROOT, 'media'), describe: 'Ogg Opus files the server can play for scheduled broadcasts' }
+];
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+const splitList = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Turn a raw value into the option's type. Strings from env vars and flags are parsed;
+ * values from a config file may already be typed. `baseDir` resolves relative paths.
+ */
+const coerce = (option, value, source, baseDir) => {
+  const fail = (expected) => {
+    throw new ConfigError(`${source} must be ${expected} (got ${JSON.stringify(value)})`);
+  };
+
+  switch (option.type) {
+    case 'integer': {
+      const n = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (!Number.isInteger(n) || n < option.min || n > option.max) fail(`an integer from ${option.min} to ${option.max}`);
+      return n;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return true;
+      if (FALSE_VALUES.includes(text)) return false;
+      return fail(`one of ${[...TRUE_VALUES, ...FALSE_VALUES].join(', ')}`);
+    }
+    case 'list':
+      if (typeof value === 'string') return splitList(value);
+      if (Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim())) return value.map(v => v.trim());
+      return fail('a list of strings');
+    case 'enum': {
+      const text = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (!option.values.includes(text)) fail(`one of ${option.values.join(', ')}`);
+      return text;
+    }
+    case 'path':
+      if (typeof value !== 'string' || !value.trim()) fail('a path');
+      return path.resolve(baseDir, value.trim());
+    default:
+      if (typeof value !== 'string' && typeof value !== 'number') fail('a string');
+      return String(value).trim() || null;
+  }
+};
+
+const readConfigFile = (file) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new ConfigError(`Cannot read config file ${file}: ${e.message}`);
+  }
+
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    throw new ConfigError(`Cannot parse config file ${file}: ${e.message}`);
+  }
+  if (data == null) return {};
+  if (typeof data !== 'object' || Array.isArray(data)) throw new ConfigError(`Config file ${file} must contain an object`);
+  return data;
+};
+
+// { ice: { lanOnly: true } } -> { 'ice.lanOnly': true }; nested objects only exist to group settings
+const flatten = (data, prefix = '') => Object.entries(data).reduce((flat, [name, value]) => {
+  const key = prefix + name;
+  if (value && typeof value === 'object' && !Array.isArray(value)) Object.assign(flat, flatten(value, `${key}.`));
+  else flat[key] = value;
+  return flat;
+}, {});
+
+const setPath = (target, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  parts.reduce((obj, part) => (obj[part] = obj[part] || {}), target)[last] = value;
+};
+
+const usage = () => {
+  const rows = [
+    ['--config <file>', 'CONFIG_FILE', 'JSON or YAML config file'],
+    ['--sfu', '', 'Same as --relay-mode sfu'],
+    ['--no-mdns', '', 'Same as MDNS=off'],
+    ...OPTIONS.map(o => [`--${o.flag}${o.type === 'boolean' ? '' : ' <value>'}`, o.env, o.describe]),
+    ['--help', '', 'Show this help']
+  ];
+  const widths = [0, 1].map(i => Math.max(...rows.map(row => row[i].length)));
+  return [
+    'Usage: node server.js [options]',
+    '',
+    'Options (flags override environment variables, which override the config file):',
+    ...rows.map(([flag, env, describe]) => `  ${flag.padEnd(widths[0])}  ${env.padEnd(widths[1])}  ${describe}`)
+  ].join('\n');
+};
+
+/**
+ * Load and validate the configuration. Returns the nested config object (the same shape
+ * as a config file, with every setting filled in), or `{ help: true }` for --help.
+ * Throws ConfigError for unknown flags or settings and invalid values.
+ */
+const loadConfig = ({ argv = process.argv.slice(2), env = process.env } = {}) => {
+  let flags;
+  try {
+    ({ values: flags } = parseArgs({
+      args: argv,
+      options: {
+        config: { type: 'string' },
+        sfu: { type: 'boolean' },
+        'no-mdns': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+        ...Object.fromEntries(OPTIONS.map(o => [o.flag, { type: o.type === 'boolean' ? 'boolean' : 'string' }]))
+      }
+    }));
+  } catch (e) {
+    throw new ConfigError(`${e.message}\nRun with --help to list the available options`);
+  }
+  if (flags.help) return { help: true };
+
+  const configFile = flags.config || env.CONFIG_FILE || null;
+  const fileValues = configFile ? flatten(readConfigFile(configFile)) : {};
+  const fileDir = configFile ? path.dirname(path.resolve(configFile)) : process.cwd();
+
+  const unknown = Object.keys(fileValues).filter(key => !OPTIONS.some(o => o.key === key));
+  if (unknown.length) {
+    throw new ConfigError(`Unknown setting${unknown.length > 1 ? 's' : ''} in ${configFile}: ${unknown.join(', ')}`);
+  }
+
+  const config = { configFile: configFile && path.resolve(configFile) };
+  for (const option of OPTIONS) {
+    let value = option.default;
+    if (fileValues[option.key] != null) {
+      value = coerce(option, fileValues[option.key], `${configFile}: ${option.key}`, fileDir);
+    }
+    // An empty variable counts as unset, except for lists where it means "none" (e.g. STUN_URLS=)
+    const envValue = env[option.env];
+    if (envValue != null && (envValue !== '' || option.type === 'list')) {
+      value = coerce(option, envValue, option.env, process.cwd());
+    }
+    if (flags[option.flag] != null) {
+      value = coerce(option, flags[option.flag], `--${option.flag}`, process.cwd());
+    }
+    setPath(config, option.key, value);
+  }
+  if (flags.sfu) config.relayMode = 'sfu';
+  if (flags['no-mdns']) config.mdns.enabled = false;
+
+  const { tls } = config;
+  if (!tls.certFile !== !tls.keyFile) throw new ConfigError('tls.certFile and tls.keyFile must be set together');
+  if (tls.certFile) tls.enabled = true;
+  if (tls.redirectPort && !tls.enabled) throw new ConfigError('tls.redirectPort needs HTTPS to be enabled');
+  if (tls.redirectPort === config.port) throw new ConfigError(`tls.redirectPort must differ from port (${config.port})`);
+
+  const { mdns } = config;
+  mdns.name = (mdns.name || '').toLowerCase().replace(/\.local\.?$/, '');
+  if (!/^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(mdns.name)) {
+    throw new ConfigError(`mdns.name must be a single hostname label of letters, digits and hyphens (got ${JSON.stringify(mdns.name)})`);
+  }
+
+  return config;
+};
+
+module.exports = { loadConfig, usage, ConfigError };
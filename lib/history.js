@@ -0,0 +1,244 @@
+/**
+ * Broadcast history
+ * One JSON file per broadcast ("<channel>__<start ms>.json", like recordings) with the host,
+ * listener counts over time, listener-minutes and a summary of listener quality reports.
+ * Files are rewritten on every timeline sample while a broadcast runs, so a crash loses at
+ * most one interval; broadcasts a crash left open are closed as "interrupted" on startup.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_NAME = /^([a-z0-9_-]+)__(\d+)\.json$/;
+const SAMPLE_INTERVAL = 30 * 1000; // timeline resolution when nothing changes
+const MIN_STEP = 5 * 1000; // changes closer together than this share one timeline point
+const MAX_TIMELINE = 1440; // points; longer broadcasts halve the resolution instead of growing
+const QUALITY_FIELDS = ['rttMs', 'jitterMs', 'lossPct', 'concealedPct', 'bitrateKbps'];
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Running avg/max per quality field, without keeping every report
+const createQuality = () => Object.fromEntries(QUALITY_FIELDS.map(key => [key, { count: 0, sum: 0, max: 0 }]));
+
+const summarizeQuality = (quality) => Object.fromEntries(QUALITY_FIELDS.map(key => {
+  const { count, sum, max } = quality[key];
+  return [key, count ? { avg: round(sum / count), max: round(max) } : null];
+}));
+
+// Everything but the timeline, for listings and CSV rows
+const summary = ({ timeline, ...record }) => record;
+
+const CSV_COLUMNS = [
+  ['id', r => r.id],
+  ['channel', r => r.channel],
+  ['started_at', r => new Date(r.startedAt).toISOString()],
+  ['ended_at', r => (r.endedAt ? new Date(r.endedAt).toISOString() : '')],
+  ['end_reason', r => r.endReason || ''],
+  ['duration_min', r => round(r.durationMs / 60000)],
+  ['host_ip', r => r.host.ip || ''],
+  ['schedule', r => r.schedule?.title || ''],
+  ['peak_listeners', r => r.listeners.peak],
+  ['avg_listeners', r => r.listeners.average],
+  ['unique_listeners', r => r.listeners.unique],
+  ['listener_minutes', r => r.listeners.minutes],
+  ['quality_reports', r => r.quality.reports],
+  ...QUALITY_FIELDS.flatMap(key => [
+    [`${key}_avg`, r => r.quality[key]?.avg ?? ''],
+    [`${key}_max`, r => r.quality[key]?.max ?? '']
+  ])
+];
+
+const csvCell = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (records) => [
+  CSV_COLUMNS.map(([name]) => name).join(','),
+  ...records.map(r => CSV_COLUMNS.map(([, get]) => csvCell(get(r))).join(','))
+].join('\n') + '\n';
+
+/**
+ * Returns { start, list, get, remove, recover, toCsv }. `start` opens a broadcast and returns
+ * its tracker; the server feeds the tracker listener counts and quality reports and ends it
+ * when the host stops or leaves. Write failures go to `onError` and never reach the caller.
+ */
+const createHistory = ({ dir, onError = () => { } }) => {
+  const active = new Map(); // id -> tracker
+
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  // Write to a temp file and rename, so a reader never sees half a file
+  const writeRecord = async (record) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tmp = `${fileFor(record.id)}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(record));
+    await fs.promises.rename(tmp, fileFor(record.id));
+  };
+
+  const readRecord = async (id) => JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+
+  // `schedule` ({ id, title }) marks broadcasts started by the scheduler; hostIp is null when the server played them
+  const start = ({ channel, hostIp, schedule = null, listeners = 0, now = Date.now() }) => {
+    const record = {
+      id: `${channel}__${now}`,
+      channel,
+      host: { ip: hostIp },
+      schedule,
+      startedAt: now,
+      endedAt: null,
+      endReason: null,
+      updatedAt: now,
+      durationMs: 0,
+      listeners: { peak: listeners, average: 0, unique: 0, minutes: 0 },
+      quality: { reports: 0 },
+      recordings: [],
+      timeline: [[now, listeners]]
+    };
+    const quality = createQuality();
+    const seen = new Set();
+    let current = listeners;
+    let countedAt = now;
+    let listenerMs = 0;
+    let writing = Promise.resolve();
+
+    // Integrate listeners over time up to `at`, then refresh the derived fields
+    const settle = (at) => {
+      listenerMs += current * (at - countedAt);
+      countedAt = at;
+      record.updatedAt = at;
+      record.durationMs = at - record.startedAt;
+      record.listeners.minutes = round(listenerMs / 60000);
+      record.listeners.average = record.durationMs ? round(listenerMs / record.durationMs) : current;
+      record.listeners.unique = seen.size;
+      record.quality = { reports: record.quality.reports, ...summarizeQuality(quality) };
+    };
+
+    // Queued so an older snapshot never lands after a newer one
+    const save = () => {
+      const snapshot = JSON.parse(JSON.stringify(record));
+      writing = writing.then(() => writeRecord(snapshot)).catch(onError);
+      return writing;
+    };
+
+    const addPoint = (at) => {
+      const last = record.timeline.at(-1);
+      if (at - last[0] < MIN_STEP) last[1] = Math.max(last[1], current);
+      else record.timeline.push([at, current]);
+      if (record.timeline.length > MAX_TIMELINE) record.timeline = record.timeline.filter((_, i) => i % 2 === 0);
+    };
+
+    const sample = () => {
+      const now = Date.now();
+      settle(now);
+      addPoint(now);
+      save();
+    };
+    const timer = setInterval(sample, SAMPLE_INTERVAL);
+    timer.unref();
+
+    const tracker = {
+      id: record.id,
+      // Current listener count (WebRTC and HTTP); called whenever it may have changed
+      update: (count) => {
+        if (count === current) return;
+        const now = Date.now();
+        settle(now);
+        current = count;
+        record.listeners.peak = Math.max(record.listeners.peak, count);
+        addPoint(now);
+      },
+      // Device token, socket ID or IP: whatever identifies the listener best
+      listenerSeen: (key) => seen.add(key),
+      addStats: (stats) => {
+        record.quality.reports++;
+        for (const key of QUALITY_FIELDS) {
+          if (typeof stats[key] !== 'number') continue;
+          quality[key].count++;
+          quality[key].sum += stats[key];
+          quality[key].max = Math.max(quality[key].max, stats[key]);
+        }
+      },
+      addRecording: (recordingId) => record.recordings.push(recordingId),
+      end: (reason) => {
+        clearInterval(timer);
+        active.delete(record.id);
+        const now = Date.now();
+        settle(now);
+        record.endedAt = now;
+        record.endReason = reason;
+        record.timeline.push([now, current]);
+        return save().then(() => summary(record));
+      },
+      snapshot: () => {
+        settle(Date.now());
+        return { ...record, inProgress: true };
+      }
+    };
+
+    active.set(record.id, tracker);
+    save();
+    return tracker;
+  };
+
+  const list = async ({ channel } = {}) => {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch {
+      return [];
+    }
+    const ids = names
+      .map(name => name.match(SESSION_NAME))
+      .filter(match => match && (!channel || match[1] === channel))
+      .map(match => `${match[1]}__${match[2]}`);
+    const records = await Promise.all(ids.map(id => (active.has(id)
+      ? active.get(id).snapshot()
+      : readRecord(id).catch(() => null))));
+    return records
+      .filter(Boolean)
+      .map(summary)
+      .sort((a, b) => b.startedAt - a.startedAt);
+  };
+
+  const get = async (id) => {
+    if (!SESSION_NAME.test(`${id}.json`)) return null;
+    if (active.has(id)) return active.get(id).snapshot();
+    try {
+      return await readRecord(id);
+    } catch {
+      return null;
+    }
+  };
+
+  // false for unknown IDs; throws for a broadcast that is still running
+  const remove = async (id) => {
+    if (!SESSION_NAME.test(`${id}.json`)) return false;
+    if (active.has(id)) throw new Error('Broadcast in progress');
+    try {
+      await fs.promises.unlink(fileFor(id));
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  // Close broadcasts left open by a crash or kill -9 at their last saved sample
+  const recover = async () => {
+    const records = await list();
+    const open = records.filter(r => !r.endedAt && !active.has(r.id));
+    await Promise.all(open.map(async ({ id }) => {
+      const record = await readRecord(id);
+      record.endedAt = record.updatedAt;
+      record.endReason = 'interrupted';
+      record.timeline.push([record.updatedAt, record.timeline.at(-1)?.[1] || 0]);
+      await writeRecord(record);
+    }));
+    return open.length;
+  };
+
+  return { start, list, get, remove, recover, toCsv };
+};
+
+module.exports = { createHistory };
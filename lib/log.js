@@ -0,0 +1,53 @@
+/**
+ * Logging
+ * `pretty` prints the familiar emoji lines for a terminal; `json` prints one object per line
+ * for log collectors. Fields given with a message (channel, socketId, ...) stay separate keys
+ * in JSON, so everything a socket did can be found by filtering on its ID.
+ */
+'use strict';
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// '🎙️  Host registered' -> 'Host registered'; JSON consumers get plain messages
+const plainMessage = (msg) => msg.replace(/^[^\p{L}\p{N}]+/u, '');
+
+const formatValue = (value) => {
+  if (value instanceof Error) return value.message;
+  if (typeof value === 'string') return /\s/.test(value) ? JSON.stringify(value) : value;
+  return JSON.stringify(value);
+};
+
+// 'Message [channel]: error key=value ...'
+const prettyLine = (msg, { channel, error, ...fields }) => [
+  `${msg}${channel ? ` [${channel}]` : ''}${error ? `: ${error.message || error}` : ''}`,
+  ...Object.entries(fields).filter(([, v]) => v !== undefined).map(([k, v]) => `${k}=${formatValue(v)}`)
+].join(' ');
+
+const jsonLine = (level, msg, fields) => JSON.stringify({
+  time: new Date().toISOString(),
+  level,
+  msg: plainMessage(msg),
+  ...Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, v instanceof Error ? v.message : v]))
+});
+
+/**
+ * Returns { error, warn, info, debug, child, format }. Each level takes a message and an
+ * optional fields object; `child(fields)` returns a logger that adds those fields to every line.
+ */
+const createLogger = ({ level = 'info', format = 'pretty', fields = {} } = {}) => {
+  const threshold = LEVELS.indexOf(level);
+  const write = (lvl, msg, extra = {}) => {
+    if (LEVELS.indexOf(lvl) > threshold) return;
+    const all = { ...fields, ...extra };
+    const line = format === 'json' ? jsonLine(lvl, msg, all) : prettyLine(msg, all);
+    (lvl === 'error' || lvl === 'warn' ? console.error : console.log)(line);
+  };
+
+  return {
+    ...Object.fromEntries(LEVELS.map(lvl => [lvl, (msg, extra) => write(lvl, msg, extra)])),
+    child: (more) => createLogger({ level, format, fields: { ...fields, ...more } }),
+    format
+  };
+};
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,39 @@
+/**
+ * mDNS / Bonjour advertisement
+ * Publishes the server as `<name>.local` with an HTTP(S) service record, so phones on the
+ * same network can open a stable hostname instead of an IP address that changes with DHCP.
+ */
+'use strict';
+
+const { Bonjour } = require('bonjour-service');
+
+/**
+ * Start answering for `<name>.local` and announce the service. Problems on the network
+ * (another machine using the name, no multicast) are reported through `onError` rather
+ * than thrown: the server works without mDNS, just under its IP addresses.
+ */
+const advertise = ({ name, port, scheme, bindAddress, onReady = () => { }, onError = () => { } }) => {
+  const host = `${name}.local`;
+  const bonjour = new Bonjour(['0.0.0.0', '::'].includes(bindAddress) ? {} : { interface: bindAddress }, onError);
+  const service = bonjour.publish({
+    name: 'Live Audio Share',
+    type: scheme,
+    host,
+    port,
+    txt: { path: '/listen' },
+    disableIPv6: true
+  });
+  service.on('up', () => onReady(host));
+  service.on('error', onError);
+
+  let stopped = false;
+  const stop = () => new Promise(resolve => {
+    if (stopped) return resolve();
+    stopped = true;
+    bonjour.unpublishAll(() => bonjour.destroy(resolve));
+  });
+
+  return { host, url: `${scheme}://${host}:${port}`, stop };
+};
+
+module.exports = { advertise };
@@ -0,0 +1,147 @@
+/**
+ * Prometheus metrics
+ * Gauges are read from live server state at scrape time; counters and histograms are fed
+ * by the signaling code as things happen. Served in the text exposition format at /metrics.
+ */
+'use strict';
+
+const client = require('prom-client');
+
+const PREFIX = 'audioshare_';
+
+/**
+ * `state` is read on every scrape:
+ *   sockets()  -> number of connected Socket.IO clients
+ *   channels() -> iterable of { name, hostPresent, streaming, listeners, httpListeners, sources }
+ *                 where sources is [{ id, listeners }]
+ */
+const createMetrics = ({ state }) => {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+  const registers = [registry];
+
+  new client.Gauge({
+    name: `${PREFIX}sockets_connected`,
+    help: 'Connected Socket.IO clients (hosts, listeners and pages that have not joined yet)',
+    registers,
+    collect() { this.set(state.sockets()); }
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}hosts_connected`,
+    help: 'Channels with a host console connected',
+    registers,
+    collect() { this.set([...state.channels()].filter(c => c.hostPresent).length); }
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}channel_streaming`,
+    help: '1 while the channel\'s host is sending audio',
+    labelNames: ['channel'],
+    registers,
+    collect() {
+      this.reset();
+      for (const c of state.channels()) this.set({ channel: c.name }, c.streaming ? 1 : 0);
+    }
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}listeners`,
+    help: 'Listeners per channel, by transport',
+    labelNames: ['channel', 'transport'],
+    registers,
+    collect() {
+      this.reset();
+      for (const c of state.channels()) {
+        this.set({ channel: c.name, transport: 'webrtc' }, c.listeners);
+        this.set({ channel: c.name, transport: 'http' }, c.httpListeners);
+      }
+    }
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}source_subscribers`,
+    help: 'WebRTC listeners subscribed to each source the host publishes',
+    labelNames: ['channel', 'source'],
+    registers,
+    collect() {
+      this.reset();
+      for (const c of state.channels()) {
+        for (const source of c.sources) this.set({ channel: c.name, source: source.id }, source.listeners);
+      }
+    }
+  });
+
+  const joins = new client.Counter({
+    name: `${PREFIX}listener_joins_total`,
+    help: 'Listeners that joined a channel',
+    labelNames: ['transport'],
+    registers
+  });
+
+  const leaves = new client.Counter({
+    name: `${PREFIX}listener_leaves_total`,
+    help: 'Listeners that left a channel, were removed by the host or lost it when the host left',
+    labelNames: ['transport'],
+    registers
+  });
+
+  const hostRegistrations = new client.Counter({
+    name: `${PREFIX}host_registrations_total`,
+    help: 'Host consoles that registered for a channel',
+    registers
+  });
+
+  const messages = new client.Counter({
+    name: `${PREFIX}signaling_messages_total`,
+    help: 'Socket.IO events received, by event name',
+    labelNames: ['event'],
+    registers
+  });
+
+  const rejections = new client.Counter({
+    name: `${PREFIX}signaling_rejections_total`,
+    help: 'Socket.IO events rejected by their policy or handler, by event and reason',
+    labelNames: ['event', 'code'],
+    registers
+  });
+
+  // Listener reports arrive every 2s per listener, so these describe the audience over time
+  const rtt = new client.Histogram({
+    name: `${PREFIX}listener_rtt_seconds`,
+    help: 'Round-trip time reported by listeners',
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    registers
+  });
+
+  const jitter = new client.Histogram({
+    name: `${PREFIX}listener_jitter_seconds`,
+    help: 'Jitter reported by listeners',
+    buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25],
+    registers
+  });
+
+  const loss = new client.Histogram({
+    name: `${PREFIX}listener_packet_loss_ratio`,
+    help: 'Packet loss reported by listeners (0-1)',
+    buckets: [0, 0.001, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5],
+    registers
+  });
+
+  return {
+    contentType: registry.contentType,
+    render: () => registry.metrics(),
+    listenerJoined: (transport) => joins.inc({ transport }),
+    listenerLeft: (transport, count = 1) => count && leaves.inc({ transport }, count),
+    hostRegistered: () => hostRegistrations.inc(),
+    signalingMessage: (event) => messages.inc({ event }),
+    signalingRejected: (event, code) => rejections.inc({ event, code }),
+    listenerStats: ({ rttMs, jitterMs, lossPct }) => {
+      if (rttMs != null) rtt.observe(rttMs / 1000);
+      if (jitterMs != null) jitter.observe(jitterMs / 1000);
+      if (lossPct != null) loss.observe(lossPct / 100);
+    }
+  };
+};
+
+module.exports = { createMetrics };
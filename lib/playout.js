@@ -0,0 +1,233 @@
+/**
+ * Server-side playout for unattended broadcasts
+ * Plays Ogg Opus files (.opus, or .ogg containing Opus) in real time without a browser.
+ * Opus packets are passed on as they are: to the relay as RTP payloads for WebRTC listeners,
+ * and re-paged into one continuous Ogg stream for /stream players, so nothing is decoded
+ * or re-encoded and no native dependency is needed.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SAMPLE_RATE = 48000; // Opus timestamps and granule positions always count 48 kHz samples
+const TICK = 20; // ms between pacing checks
+const LEAD = 100; // ms of audio sent ahead of real time, to ride out timer jitter
+const PAGE_PACKETS = 25; // packets per Ogg page written to the HTTP stream (about half a second)
+const PAGE_SEGMENTS = 255; // an Ogg page's lacing table holds at most this many entries
+
+// ─── Ogg pages ───────────────────────────────────────────────
+// CRC-32 with polynomial 0x04c11db7, no reflection, as the Ogg spec requires
+const CRC_TABLE = new Uint32Array(256).map((_, i) => {
+  let r = i << 24;
+  for (let k = 0; k < 8; k++) r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+  return r >>> 0;
+});
+
+const oggCrc = (buffer) => {
+  let crc = 0;
+  for (const byte of buffer) crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  return crc;
+};
+
+// Lacing entries a packet takes up in an Ogg page
+const segmentCount = (packet) => Math.floor(packet.length / 255) + 1;
+
+// Split an Ogg file into the packets of its first logical stream
+const readPackets = (buffer) => {
+  const packets = [];
+  let serial = null;
+  let pending = [];
+  for (let at = 0; at + 27 <= buffer.length;) {
+    if (buffer.toString('latin1', at, at + 4) !== 'OggS') throw new Error('Not an Ogg file');
+    const segments = buffer[at + 26];
+    const table = buffer.subarray(at + 27, at + 27 + segments);
+    const pageSerial = buffer.readUInt32LE(at + 14);
+    let offset = at + 27 + segments;
+    serial ??= pageSerial;
+    for (const lacing of table) {
+      if (pageSerial === serial) pending.push(buffer.subarray(offset, offset + lacing));
+      offset += lacing;
+      // A lacing value under 255 ends the packet; 255 means it continues in the next segment
+      if (lacing < 255 && pageSerial === serial) {
+        packets.push(Buffer.concat(pending));
+        pending = [];
+      }
+    }
+    at = offset;
+  }
+  return packets;
+};
+
+// Samples (at 48 kHz) in one Opus packet, from its TOC byte (RFC 6716 section 3.1)
+const packetSamples = (packet) => {
+  if (!packet.length) return 0;
+  const config = packet[0] >> 3;
+  const frameMs = config < 12 ? [10, 20, 40, 60][config % 4]
+    : config < 16 ? [10, 20][config % 2]
+      : [2.5, 5, 10, 20][config % 4];
+  const code = packet[0] & 3;
+  const frames = code === 0 ? 1 : code < 3 ? 2 : (packet[1] & 0x3f);
+  return (frameMs * frames * SAMPLE_RATE) / 1000;
+};
+
+// Audio packets and the channel count of an Ogg Opus file; the two header packets are checked and dropped
+const readOpusFile = async (file) => {
+  const packets = readPackets(await fs.promises.readFile(file));
+  const [head, tags] = packets;
+  if (head?.toString('latin1', 0, 8) !== 'OpusHead' || tags?.toString('latin1', 0, 8) !== 'OpusTags') {
+    throw new Error('Not an Ogg Opus file');
+  }
+  return { channels: head[9], packets: packets.slice(2) };
+};
+
+/**
+ * Writes one continuous Ogg Opus stream, whatever files its packets came from, so players
+ * joining late only ever need the header pages at the start.
+ */
+const createOggWriter = () => {
+  const serial = crypto.randomBytes(4).readUInt32LE(0);
+  let sequence = 0;
+  let granule = 0n;
+
+  const page = (packets, flags = 0) => {
+    const lacing = packets.flatMap(p => [...Array(segmentCount(p) - 1).fill(255), p.length % 255]);
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write('OggS', 0, 'latin1');
+    header[5] = flags;
+    header.writeBigUInt64LE(granule, 6);
+    header.writeUInt32LE(serial, 14);
+    header.writeUInt32LE(sequence++, 18);
+    header[26] = lacing.length;
+    Buffer.from(lacing).copy(header, 27);
+    const data = Buffer.concat([header, ...packets]);
+    data.writeUInt32LE(oggCrc(data), 22);
+    return data;
+  };
+
+  // Stereo output with no pre-skip: every file's packets decode fine into it
+  const head = () => {
+    const opusHead = Buffer.alloc(19);
+    opusHead.write('OpusHead', 0, 'latin1');
+    opusHead[8] = 1; // version
+    opusHead[9] = 2; // channels
+    opusHead.writeUInt32LE(SAMPLE_RATE, 12);
+    const vendor = Buffer.from('live-audio-share');
+    const opusTags = Buffer.alloc(16 + vendor.length);
+    opusTags.write('OpusTags', 0, 'latin1');
+    opusTags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(opusTags, 12);
+    return Buffer.concat([page([opusHead], 0x02), page([opusTags])]);
+  };
+
+  const audio = (packets, samples) => {
+    granule += BigInt(samples);
+    return page(packets);
+  };
+
+  const end = () => page([], 0x04);
+
+  return { head, audio, end };
+};
+
+// ─── Playout ─────────────────────────────────────────────────
+/**
+ * Plays `files` (paths) in order, in real time, and calls:
+ *   onPacket(packet, samples) - each Opus packet, when it is due
+ *   onOgg(data)               - Ogg pages for the HTTP stream (headers first)
+ *   onTrack(name)             - a file starts; name is the file name without its extension
+ *   onEnd()                   - the last file has finished (not called after stop())
+ *   onError(error, name)      - a file could not be read; playout moves on to the next one
+ * Returns { stop }.
+ */
+const createPlayout = ({ files, onPacket, onOgg, onTrack = () => { }, onEnd = () => { }, onError = () => { } }) => {
+  const ogg = createOggWriter();
+  let stopped = false;
+  let timer = null;
+  let index = -1;
+  let queue = []; // packets of the current file
+  let next = 0; // index of the next packet in queue to send
+  let page = { packets: [], samples: 0, segments: 0 };
+  let startedAt = 0;
+  let sentMs = 0; // audio sent since playout started, in ms
+
+  const flushPage = () => {
+    if (!page.packets.length) return;
+    onOgg(ogg.audio(page.packets, page.samples));
+    page = { packets: [], samples: 0, segments: 0 };
+  };
+
+  const finish = () => {
+    clearInterval(timer);
+    flushPage();
+    onOgg(ogg.end());
+  };
+
+  // Load files until one has audio; false when the playlist is done
+  const nextFile = async () => {
+    while (++index < files.length) {
+      const name = path.basename(files[index]).replace(/\.(opus|ogg)$/i, '');
+      try {
+        const { packets } = await readOpusFile(files[index]);
+        if (stopped) return false;
+        if (!packets.length) continue;
+        queue = packets;
+        next = 0;
+        onTrack(name);
+        return true;
+      } catch (e) {
+        onError(e, name);
+      }
+    }
+    return false;
+  };
+
+  let loading = false;
+  const pace = async () => {
+    if (loading || stopped) return;
+    const dueMs = Date.now() - startedAt + LEAD;
+    while (sentMs < dueMs) {
+      if (next >= queue.length) {
+        loading = true;
+        const more = await nextFile();
+        loading = false;
+        if (stopped) return;
+        if (!more) {
+          // onEnd usually calls stop(), which must not end the stream a second time
+          stopped = true;
+          finish();
+          return onEnd();
+        }
+        continue;
+      }
+      const packet = queue[next++];
+      const samples = packetSamples(packet);
+      sentMs += (samples / SAMPLE_RATE) * 1000;
+      onPacket(packet, samples);
+      if (page.segments + segmentCount(packet) > PAGE_SEGMENTS) flushPage();
+      page.packets.push(packet);
+      page.samples += samples;
+      page.segments += segmentCount(packet);
+      if (page.packets.length >= PAGE_PACKETS) flushPage();
+    }
+  };
+
+  const start = () => {
+    onOgg(ogg.head());
+    startedAt = Date.now();
+    timer = setInterval(pace, TICK);
+    pace();
+  };
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    finish();
+  };
+
+  start();
+  return { stop };
+};
+
+module.exports = { createPlayout, readOpusFile, packetSamples };
@@ -0,0 +1,209 @@
+/**
+ * Broadcast scheduler
+ * Schedules live in a JSON file and are checked against the wall clock once a second, so
+ * repeats stay on local time across DST changes and a restart in the middle of a slot
+ * picks the broadcast back up for the rest of it. The server decides what "starting" means
+ * (signal the host console, or play files itself); this module only keeps time.
+ */
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const TICK = 1000;
+const MAX_TITLE = 200;
+const MAX_DURATION_MIN = 24 * 60;
+const MAX_FILES = 100;
+
+// Which days a repeating schedule runs on, given the day and the first occurrence
+const REPEATS = {
+  once: () => true,
+  daily: () => true,
+  weekdays: (day) => day.getDay() >= 1 && day.getDay() <= 5,
+  weekly: (day, first) => day.getDay() === first.getDay()
+};
+
+class ScheduleError extends Error { }
+
+// Start (ms) of the first occurrence at or after `from`, or null once a one-off is over
+const nextStart = (schedule, from) => {
+  const first = new Date(schedule.startAt);
+  if (schedule.repeat === 'once') return first.getTime() >= from ? first.getTime() : null;
+
+  const base = new Date(Math.max(from, first.getTime()));
+  // A matching day always comes within a week; the time of day is re-applied each day for DST
+  for (let i = 0; i < 8; i++) {
+    const day = new Date(base.getFullYear(), base.getMonth(), base.getDate() + i,
+      first.getHours(), first.getMinutes(), first.getSeconds());
+    if (day.getTime() >= from && REPEATS[schedule.repeat](day, first)) return day.getTime();
+  }
+  return null;
+};
+
+const durationMs = (schedule) => schedule.durationMin * 60 * 1000;
+
+// The occurrence on air at `now`, if any: it started no more than one duration ago
+const currentStart = (schedule, now) => {
+  const startsAt = nextStart(schedule, now - durationMs(schedule) + 1);
+  return startsAt != null && startsAt <= now ? startsAt : null;
+};
+
+/**
+ * Check a create request and return the stored shape. `channel` must already be normalized
+ * and `files` already checked against the media folder; everything else is checked here.
+ */
+const validate = ({ channel, title, startAt, durationMin, repeat = 'once', files = [] }, now) => {
+  if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE) {
+    throw new ScheduleError(`title must be 1-${MAX_TITLE} characters`);
+  }
+  const start = new Date(startAt);
+  if (typeof startAt !== 'string' || Number.isNaN(start.getTime())) throw new ScheduleError('startAt must be a date and time');
+  if (!Number.isInteger(durationMin) || durationMin < 1 || durationMin > MAX_DURATION_MIN) {
+    throw new ScheduleError(`durationMin must be a whole number of minutes from 1 to ${MAX_DURATION_MIN}`);
+  }
+  if (!REPEATS[repeat]) throw new ScheduleError(`repeat must be one of ${Object.keys(REPEATS).join(', ')}`);
+  if (!Array.isArray(files) || files.length > MAX_FILES || !files.every(f => typeof f === 'string')) {
+    throw new ScheduleError(`files must be a list of up to ${MAX_FILES} file names`);
+  }
+  if (repeat === 'once' && start.getTime() + durationMin * 60 * 1000 <= now) throw new ScheduleError('startAt is in the past');
+
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    channel,
+    title: title.trim(),
+    startAt: start.toISOString(),
+    durationMin,
+    repeat,
+    files,
+    createdAt: now
+  };
+};
+
+/**
+ * Returns { list, add, remove, upcoming, active, stop }. Callbacks:
+ *   onStart(schedule, run)    - an occurrence is due; run is { startsAt, endsAt }
+ *   onEnd(schedule, reason)   - its slot is over ('schedule-ended') or it was cancelled ('cancelled')
+ *   onChange(channel)         - schedules for a channel were added, removed or finished
+ *   onMissed(schedule)        - a one-off whose whole slot passed while the server was down
+ * One-off schedules are removed once they have run. A broadcast due while another one on
+ * the same channel is still on air waits for it to end and then runs for the rest of its slot.
+ */
+const createScheduler = ({ file, onStart, onEnd, onChange = () => { }, onMissed = () => { }, onError = () => { } }) => {
+  const schedules = (() => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8')).schedules || [];
+    } catch (e) {
+      if (e.code !== 'ENOENT') onError(e);
+      return [];
+    }
+  })();
+  const running = new Map(); // schedule ID -> { startsAt, endsAt }
+  let writing = Promise.resolve();
+
+  // Writes are chained so quick edits can't land on disk out of order
+  const save = () => {
+    const data = JSON.stringify({ schedules }, null, 2);
+    writing = writing.then(() => fs.promises.writeFile(file, data)).catch(onError);
+  };
+
+  // A throwing callback must not stop the clock for every other schedule
+  const call = (fn, ...args) => {
+    try {
+      fn(...args);
+    } catch (e) {
+      onError(e);
+    }
+  };
+
+  const drop = (schedule) => {
+    schedules.splice(schedules.indexOf(schedule), 1);
+    save();
+    call(onChange, schedule.channel);
+  };
+
+  const finish = (schedule, reason) => {
+    running.delete(schedule.id);
+    call(onEnd, schedule, reason);
+    if (schedule.repeat === 'once' && reason !== 'cancelled') drop(schedule);
+    else call(onChange, schedule.channel);
+  };
+
+  const channelBusy = (channel) => schedules.some(s => s.channel === channel && running.has(s.id));
+
+  const tick = () => {
+    const now = Date.now();
+    for (const schedule of [...schedules]) {
+      const run = running.get(schedule.id);
+      if (run) {
+        if (now >= run.endsAt) finish(schedule, 'schedule-ended');
+        continue;
+      }
+      const startsAt = currentStart(schedule, now);
+      if (startsAt != null && !channelBusy(schedule.channel)) {
+        const started = { startsAt, endsAt: startsAt + durationMs(schedule) };
+        running.set(schedule.id, started);
+        call(onStart, schedule, started);
+      } else if (startsAt == null && schedule.repeat === 'once' && nextStart(schedule, now) == null) {
+        call(onMissed, schedule);
+        drop(schedule);
+      }
+    }
+  };
+  const timer = setInterval(tick, TICK);
+  timer.unref();
+
+  const describe = (schedule, now = Date.now()) => {
+    const run = running.get(schedule.id);
+    return {
+      ...schedule,
+      onAir: !!run,
+      nextStartsAt: run ? run.startsAt : nextStart(schedule, now)
+    };
+  };
+
+  const list = ({ channel } = {}) => schedules
+    .filter(s => !channel || s.channel === channel)
+    .map(s => describe(s))
+    .sort((a, b) => (a.nextStartsAt ?? Infinity) - (b.nextStartsAt ?? Infinity));
+
+  const add = (input) => {
+    const schedule = validate(input, Date.now());
+    schedules.push(schedule);
+    save();
+    call(onChange, schedule.channel);
+    return describe(schedule);
+  };
+
+  // false for unknown IDs; a schedule that is on air ends now
+  const remove = (id) => {
+    const schedule = schedules.find(s => s.id === id);
+    if (!schedule) return false;
+    if (running.has(id)) finish(schedule, 'cancelled');
+    drop(schedule);
+    return true;
+  };
+
+  // What listeners see: the broadcast on air, or else the next one due
+  const upcoming = (channel) => {
+    const [next] = list({ channel }).filter(s => s.nextStartsAt != null);
+    if (!next) return null;
+    return {
+      scheduleId: next.id,
+      title: next.title,
+      startsAt: next.nextStartsAt,
+      endsAt: next.nextStartsAt + durationMs(next),
+      onAir: next.onAir
+    };
+  };
+
+  const active = (channel) => {
+    const schedule = schedules.find(s => s.channel === channel && running.has(s.id));
+    return schedule ? { schedule, ...running.get(schedule.id) } : null;
+  };
+
+  const stop = () => clearInterval(timer);
+
+  return { list, add, remove, upcoming, active, stop };
+};
+
+module.exports = { createScheduler, ScheduleError, REPEATS };
@@ -0,0 +1,201 @@
+/**
+ * SFU relay for large audiences
+ * The host sends one audio track per source to the server, which forwards their RTP packets
+ * to every listener over server-side peer connections (werift, pure JavaScript WebRTC).
+ * Each listener gets a track for every source but is only sent the ones it subscribed to.
+ * Scheduled broadcasts use the same relay with no host, feeding it Opus packets directly.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const { RTCPeerConnection, RTCRtpCodecParameters, MediaStreamTrack, RtpPacket, RtpHeader } = require('werift');
+
+// Peer ID the server uses in place of a socket ID in webrtc-* signaling
+const SFU_PEER_ID = 'sfu';
+const MAIN_SOURCE = 'main'; // what server playout feeds, and where host tracks nobody labelled go
+const OPUS_PAYLOAD_TYPE = 111; // senders rewrite it to whatever each listener negotiated
+
+const OPUS = () => new RTCRtpCodecParameters({
+  mimeType: 'audio/opus',
+  clockRate: 48000,
+  channels: 2,
+  parameters: 'minptime=10;stereo=1;sprop-stereo=1;maxaveragebitrate=510000;useinbandfec=0'
+});
+
+const toDescription = ({ type, sdp }) => ({ type, sdp });
+
+// Promise that can be settled from outside, used to hold ICE candidates until the remote description is set
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+};
+
+// { [mid]: sourceId } for the transceivers a peer connection sends sources on
+const sourceMids = (pc, tracks) => Object.fromEntries([...tracks].flatMap(([id, track]) => {
+  const mid = pc.getTransceivers().find(t => t.sender.track === track)?.mid;
+  return mid ? [[mid, id]] : [];
+}));
+
+/**
+ * One relay per channel. `emit(socketId, event, payload)` delivers signaling to a client;
+ * payloads match what a browser host or listener would send, so clients can't tell
+ * the difference. `sources` are the source IDs the host publishes.
+ */
+const createRelay = ({ emit, sources = [MAIN_SOURCE] }) => {
+  const listeners = new Map(); // socket ID -> { pc, tracks: Map(source ID -> track), subscribed, remoteSet, muted }
+  let host = null; // { id, pc, remoteSet, mids: { [mid]: sourceId } }
+
+  // Server peers only gather host candidates: the relay lives on the LAN with its listeners
+  const createPeer = (remoteId) => {
+    const pc = new RTCPeerConnection({ codecs: { audio: [OPUS()] }, iceServers: [] });
+    pc.onIceCandidate.subscribe((candidate) => {
+      if (candidate) emit(remoteId, 'webrtc-ice-candidate', { candidate: candidate.toJSON(), from: SFU_PEER_ID });
+    });
+    return pc;
+  };
+
+  const forward = (sourceId, rtp) => {
+    listeners.forEach(({ tracks, subscribed, muted }) => {
+      if (!muted && subscribed.includes(sourceId)) tracks.get(sourceId)?.writeRtp(rtp);
+    });
+  };
+
+  // Server playout has no host track, so its packets get an RTP sequence of their own
+  const rtp = { ssrc: crypto.randomBytes(4).readUInt32BE(0), sequenceNumber: 0, timestamp: 0 };
+  const sendOpus = (payload, samples) => {
+    forward(MAIN_SOURCE, new RtpPacket(new RtpHeader({ payloadType: OPUS_PAYLOAD_TYPE, marker: false, ...rtp }), payload));
+    rtp.sequenceNumber = (rtp.sequenceNumber + 1) & 0xffff;
+    rtp.timestamp = (rtp.timestamp + samples) >>> 0;
+  };
+
+  // `sources` maps the offer's mids to source IDs; the mapping is looked up per packet, so it follows renegotiations
+  const acceptHostOffer = async (hostId, sdp, { iceRestart = false, renegotiate = false, sources: mids = {} } = {}) => {
+    // ICE restarts and renegotiations update the existing connection; any other offer replaces it
+    if (host && (!(iceRestart || renegotiate) || host.id !== hostId)) {
+      host.pc.close().catch(() => { });
+      host = null;
+    }
+    if (!host) {
+      const pc = createPeer(hostId);
+      const peer = { id: hostId, pc, remoteSet: null, mids };
+      // werift reports every track again on renegotiation; each must be forwarded only once
+      const forwarded = new WeakSet();
+      pc.ontrack = ({ track, transceiver }) => {
+        if (forwarded.has(track)) return;
+        forwarded.add(track);
+        track.onReceiveRtp.subscribe((rtp) => forward(peer.mids[transceiver.mid] || MAIN_SOURCE, rtp));
+      };
+      host = peer;
+    }
+
+    host.mids = mids;
+    host.remoteSet = host.pc.setRemoteDescription(sdp);
+    await host.remoteSet;
+    await host.pc.setLocalDescription(await host.pc.createAnswer());
+    emit(hostId, 'webrtc-answer', { sdp: toDescription(host.pc.localDescription), viewerId: SFU_PEER_ID });
+  };
+
+  // A track for each source the listener doesn't have yet, in source order
+  const addTracks = ({ pc, tracks }) => {
+    sources.filter(id => !tracks.has(id)).forEach((id) => {
+      const track = new MediaStreamTrack({ kind: 'audio' });
+      pc.addTransceiver(track, { direction: 'sendonly' });
+      tracks.set(id, track);
+    });
+  };
+
+  const sendOffer = async (viewerId, listener, renegotiate = false) => {
+    const { pc, tracks } = listener;
+    await pc.setLocalDescription(await pc.createOffer());
+    emit(viewerId, 'webrtc-offer', {
+      sdp: toDescription(pc.localDescription),
+      hostId: SFU_PEER_ID,
+      iceRestart: false,
+      renegotiate,
+      sources: sourceMids(pc, tracks)
+    });
+  };
+
+  const addListener = async (viewerId, { muted = false, sources: subscribed = [MAIN_SOURCE] } = {}) => {
+    removeListener(viewerId);
+
+    const listener = { pc: createPeer(viewerId), tracks: new Map(), subscribed, remoteSet: deferred(), muted };
+    addTracks(listener);
+    listeners.set(viewerId, listener);
+    await sendOffer(viewerId, listener);
+  };
+
+  const acceptListenerAnswer = async (viewerId, sdp) => {
+    const listener = listeners.get(viewerId);
+    if (!listener) return;
+    await listener.pc.setRemoteDescription(sdp);
+    listener.remoteSet.resolve();
+    // Sources published while the first offer was out still need their tracks
+    if (sources.some(id => !listener.tracks.has(id))) await renegotiate(viewerId, listener);
+  };
+
+  // Same connection, a track more; tracks of sources the host dropped just go quiet
+  const renegotiate = async (viewerId, listener) => {
+    if (listener.pc.signalingState !== 'stable') return; // acceptListenerAnswer catches up
+    addTracks(listener);
+    await sendOffer(viewerId, listener, true);
+  };
+
+  const setSources = async (ids) => {
+    sources = ids;
+    await Promise.all([...listeners]
+      .filter(([, listener]) => sources.some(id => !listener.tracks.has(id)))
+      .map(([viewerId, listener]) => renegotiate(viewerId, listener)));
+  };
+
+  const setSubscription = (viewerId, subscribed) => {
+    const listener = listeners.get(viewerId);
+    if (listener) listener.subscribed = subscribed;
+  };
+
+  const addIceCandidate = async (fromId, candidate) => {
+    const peer = fromId === host?.id ? { pc: host.pc, ready: host.remoteSet } : listeners.get(fromId);
+    if (!peer || !candidate?.candidate) return;
+    await (peer.ready || peer.remoteSet?.promise);
+    await peer.pc.addIceCandidate(candidate);
+  };
+
+  // Host-side mute: stop forwarding to one listener without touching its connection
+  const setMuted = (viewerId, muted) => {
+    const listener = listeners.get(viewerId);
+    if (listener) listener.muted = muted;
+  };
+
+  const removeListener = (viewerId) => {
+    const listener = listeners.get(viewerId);
+    if (!listener) return;
+    listeners.delete(viewerId);
+    listener.pc.close().catch(() => { });
+  };
+
+  const close = () => {
+    [...listeners.keys()].forEach(removeListener);
+    host?.pc.close().catch(() => { });
+    host = null;
+  };
+
+  return {
+    peerId: SFU_PEER_ID,
+    acceptHostOffer,
+    addListener,
+    acceptListenerAnswer,
+    addIceCandidate,
+    setMuted,
+    setSources,
+    setSubscription,
+    removeListener,
+    sendOpus,
+    close,
+    get listenerCount() {
+      return listeners.size;
+    }
+  };
+};
+
+module.exports = { createRelay, SFU_PEER_ID };
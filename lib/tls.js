@@ -0,0 +1,97 @@
+/**
+ * HTTPS certificates
+ * Either the operator's own certificate and key, or a self-signed certificate for localhost
+ * and the machine's LAN addresses, generated once and cached on disk. The self-signed
+ * certificate is also its own CA, so a phone can install and trust it from /trust.
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const crypto = require('crypto');
+const selfsigned = require('selfsigned');
+
+const VALID_DAYS = 825; // the longest validity Apple platforms accept for a TLS server certificate
+const RENEW_BEFORE = 30 * 24 * 60 * 60 * 1000; // regenerate when less than this is left
+const CERT_NAME = 'self-signed.crt';
+const KEY_NAME = 'self-signed.key';
+
+// "DNS:localhost, IP Address:192.168.1.5" -> ['localhost', '192.168.1.5']
+const certificateHosts = (x509) => (x509.subjectAltName || '')
+  .split(', ')
+  .map(entry => entry.replace(/^(DNS|IP Address):/, ''))
+  .filter(Boolean);
+
+// Names a self-signed certificate should cover: loopback plus every LAN IPv4 address
+const localHosts = () => ['localhost', '127.0.0.1', ...Object.values(os.networkInterfaces())
+  .flat()
+  .filter(n => n.family === 'IPv4' && !n.internal)
+  .map(n => n.address)];
+
+const describe = (cert) => {
+  const x509 = new crypto.X509Certificate(cert);
+  return {
+    hosts: certificateHosts(x509),
+    validTo: new Date(x509.validTo),
+    fingerprint: x509.fingerprint256,
+    der: x509.raw
+  };
+};
+
+const loadCertificate = ({ certFile, keyFile }) => {
+  const cert = fs.readFileSync(certFile, 'utf8');
+  const key = fs.readFileSync(keyFile, 'utf8');
+  return { cert, key, selfSigned: false, generated: false, ...describe(cert) };
+};
+
+const generate = (hosts) => {
+  // Node generates the key natively; node-forge (used by selfsigned) would take seconds in pure JS
+  const keyPair = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  const name = [{ name: 'commonName', value: 'Live Audio Share' }, { name: 'organizationName', value: 'Live Audio Share (self-signed)' }];
+  const pems = selfsigned.generate(name, {
+    keyPair,
+    days: VALID_DAYS,
+    algorithm: 'sha256',
+    extensions: [
+      { name: 'basicConstraints', cA: true },
+      { name: 'keyUsage', keyCertSign: true, digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      // type 7 is an IP address SAN, type 2 a DNS name
+      { name: 'subjectAltName', altNames: hosts.map(host => (net.isIP(host) ? { type: 7, ip: host } : { type: 2, value: host })) }
+    ]
+  });
+  return { cert: pems.cert, key: keyPair.privateKey };
+};
+
+/**
+ * Reuse the cached certificate while it covers every host and isn't close to expiry.
+ * A new one keeps the old hosts too, so a laptop moving between networks doesn't
+ * invalidate it each time. Phones have to trust a regenerated certificate again.
+ */
+const selfSignedCertificate = ({ dir, hosts }) => {
+  const certFile = path.join(dir, CERT_NAME);
+  const keyFile = path.join(dir, KEY_NAME);
+  let known = [];
+  try {
+    const cached = loadCertificate({ certFile, keyFile });
+    const fresh = cached.validTo - Date.now() > RENEW_BEFORE;
+    if (fresh && hosts.every(host => cached.hosts.includes(host))) return { ...cached, selfSigned: true };
+    known = cached.hosts;
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+
+  const { cert, key } = generate([...new Set([...known, ...hosts])]);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(keyFile, key, { mode: 0o600 });
+  fs.writeFileSync(certFile, cert);
+  return { cert, key, selfSigned: true, generated: true, ...describe(cert) };
+};
+
+module.exports = { loadCertificate, selfSignedCertificate, localHosts };
@@ -0,0 +1,251 @@
+/**
+ * Broadcast History
+ * Lists past broadcasts with listener charts and quality summaries, and exports them as CSV
+ */
+(() => {
+    'use strict';
+
+    const $ = id => document.getElementById(id);
+    const dom = {
+        totals: $('historyTotals'),
+        consoleLink: $('consoleLink'),
+        channelFilter: $('channelFilter'),
+        exportCsv: $('exportCsv'),
+        peakChart: $('peakChart'),
+        list: $('broadcastList'),
+        detailCard: $('detailCard'),
+        detailTitle: $('detailTitle'),
+        timelineChart: $('timelineChart'),
+        detailStats: $('detailStats'),
+        deleteBtn: $('deleteBroadcast'),
+        notification: $('notification')
+    };
+
+    // Same session as the host console (remote consoles arrive with ?session=<token>)
+    const params = new URLSearchParams(location.search);
+    const sessionToken = params.get('session') || sessionStorage.getItem('hostSession');
+    const initialChannel = params.get('channel');
+    if (sessionToken) sessionStorage.setItem('hostSession', sessionToken);
+    const hostHeaders = () => (sessionToken ? { 'x-session-id': sessionToken } : {});
+    const withSession = (url, extra = {}) => {
+        const query = new URLSearchParams(Object.entries({ ...extra, session: sessionToken }).filter(([, v]) => v)).toString();
+        return query ? `${url}?${query}` : url;
+    };
+
+    const PEAK_CHART_BROADCASTS = 30;
+    const REFRESH_INTERVAL = 30 * 1000; // while a broadcast is live
+    const END_REASONS = {
+        stopped: 'Stopped',
+        'host-left': 'Host left',
+        'host-replaced': 'Host replaced',
+        shutdown: 'Server stopped',
+        interrupted: 'Interrupted',
+        'schedule-ended': 'Schedule ended',
+        'playlist-ended': 'Playlist finished',
+        'host-took-over': 'Host took over',
+        cancelled: 'Schedule cancelled'
+    };
+
+    let broadcasts = [];
+    let selectedId = null;
+
+    const notify = (message, type = 'info') => {
+        if (!dom.notification) return;
+        dom.notification.textContent = message;
+        dom.notification.className = `notification ${type} show`;
+        setTimeout(() => dom.notification.classList.remove('show'), 3000);
+    };
+
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+    const formatDuration = (ms) => {
+        const total = Math.round(ms / 1000);
+        const h = Math.floor(total / 3600), m = Math.floor(total / 60) % 60, sec = total % 60;
+        return `${h ? `${h}:` : ''}${String(m).padStart(h ? 2 : 1, '0')}:${String(sec).padStart(2, '0')}`;
+    };
+
+    const formatDate = (ts) => new Date(ts).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    const formatTime = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const formatStat = (stat, unit) => (stat ? `${stat.avg}${unit} avg · ${stat.max}${unit} max` : '—');
+
+    const visible = () => {
+        const channel = dom.channelFilter?.value;
+        return channel ? broadcasts.filter(b => b.channel === channel) : broadcasts;
+    };
+
+    // Charts are plain SVG stretched to the card; labels sit outside so they aren't distorted
+    const CHART_W = 600, CHART_H = 160;
+
+    const chartFrame = (svg, max, from, to) => `
+        <svg viewBox="0 0 ${CHART_W} ${CHART_H}" preserveAspectRatio="none">${svg}</svg>
+        <div class="history-chart-axis"><span>${from}</span><span>max ${max}</span><span>${to}</span></div>
+    `;
+
+    const renderPeakChart = () => {
+        if (!dom.peakChart) return;
+        const items = visible().slice(0, PEAK_CHART_BROADCASTS).reverse();
+        if (!items.length) {
+            dom.peakChart.innerHTML = '<div class="viewer-empty">No broadcasts yet</div>';
+            return;
+        }
+        const max = Math.max(...items.map(b => b.listeners.peak), 1);
+        const slot = CHART_W / items.length;
+        const bars = items.map((b, i) => {
+            const h = Math.max((b.listeners.peak / max) * CHART_H, 2);
+            return `<rect data-id="${escapeHtml(b.id)}" class="${b.id === selectedId ? 'selected' : ''}"
+                x="${(i * slot + slot * 0.15).toFixed(1)}" y="${(CHART_H - h).toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${h.toFixed(1)}">
+                <title>#${escapeHtml(b.channel)} ${formatDate(b.startedAt)}: peak ${b.listeners.peak}, ${b.listeners.minutes} listener-min</title>
+            </rect>`;
+        }).join('');
+        dom.peakChart.innerHTML = chartFrame(bars, max, formatDate(items[0].startedAt), formatDate(items.at(-1).startedAt));
+    };
+
+    // Listener count is a step function: it holds until the next sample or change
+    const renderTimeline = (timeline) => {
+        if (!dom.timelineChart) return;
+        if (timeline.length < 2) {
+            dom.timelineChart.innerHTML = '<div class="viewer-empty">Not enough data yet</div>';
+            return;
+        }
+        const [t0] = timeline[0];
+        const span = Math.max(timeline.at(-1)[0] - t0, 1);
+        const max = Math.max(...timeline.map(([, n]) => n), 1);
+        const x = t => ((t - t0) / span) * CHART_W;
+        const y = n => CHART_H - (n / max) * CHART_H * 0.95;
+        const steps = timeline.map(([t, n], i) => (i ? `H${x(t).toFixed(1)} V${y(n).toFixed(1)}` : `M0 ${y(n).toFixed(1)}`)).join(' ');
+        const svg = `
+            <path class="history-area" d="${steps} V${CHART_H} H0 Z"/>
+            <path class="history-line" d="${steps}"/>
+        `;
+        dom.timelineChart.innerHTML = chartFrame(svg, max, formatTime(t0), formatTime(timeline.at(-1)[0]));
+    };
+
+    const renderDetail = (record) => {
+        if (!dom.detailCard) return;
+        dom.detailCard.hidden = false;
+        dom.detailTitle.textContent = `#${record.channel} · ${formatDate(record.startedAt)}`;
+        dom.deleteBtn.disabled = !!record.inProgress;
+        renderTimeline(record.timeline || []);
+
+        const { listeners, quality } = record;
+        const stats = [
+            ['Duration', `${formatDuration(record.durationMs)}${record.inProgress ? ' (live)' : ''}`],
+            ['Ended', record.inProgress ? 'Still broadcasting' : `${END_REASONS[record.endReason] || record.endReason} at ${formatTime(record.endedAt)}`],
+            ['Peak listeners', listeners.peak],
+            ['Average listeners', listeners.average],
+            ['Unique listeners', listeners.unique],
+            ['Listener-minutes', listeners.minutes],
+            ['RTT', formatStat(quality.rttMs, 'ms')],
+            ['Jitter', formatStat(quality.jitterMs, 'ms')],
+            ['Packet loss', formatStat(quality.lossPct, '%')],
+            ['Concealment', formatStat(quality.concealedPct, '%')],
+            ['Bitrate', formatStat(quality.bitrateKbps, 'kbps')],
+            ['Quality reports', quality.reports],
+            ['Host', record.schedule && !record.host.ip ? 'Server (scheduled files)' : escapeHtml(record.host.ip || 'unknown')],
+            ['Schedule', record.schedule ? escapeHtml(record.schedule.title) : 'None'],
+            ['Recordings', record.recordings.length
+                ? record.recordings.map(id => `<a href="${withSession(`/recordings/${encodeURIComponent(id)}`)}" download>${escapeHtml(id)}</a>`).join('<br>')
+                : 'None']
+        ];
+        dom.detailStats.innerHTML = stats.map(([label, value]) => `
+            <div class="quality-metric"><span>${label}</span><strong>${value}</strong></div>
+        `).join('');
+    };
+
+    const renderList = () => {
+        if (!dom.list) return;
+        const items = visible();
+        dom.list.innerHTML = items.length
+            ? items.map(b => `
+                <div class="network-address history-row${b.id === selectedId ? ' selected' : ''}" data-id="${escapeHtml(b.id)}">
+                    <span><strong>#${escapeHtml(b.channel)}</strong> ${formatDate(b.startedAt)} · ${formatDuration(b.durationMs)} · peak ${b.listeners.peak} · avg ${b.listeners.average} · ${b.listeners.minutes} listener-min</span>
+                    <span class="pill">${b.inProgress ? 'Live' : escapeHtml(END_REASONS[b.endReason] || b.endReason)}</span>
+                </div>`).join('')
+            : '<div class="viewer-empty">No broadcasts recorded yet</div>';
+    };
+
+    const renderTotals = () => {
+        if (!dom.totals) return;
+        const items = visible();
+        const hours = items.reduce((sum, b) => sum + b.durationMs, 0) / 3600000;
+        const minutes = items.reduce((sum, b) => sum + b.listeners.minutes, 0);
+        dom.totals.textContent = `${items.length} broadcast${items.length === 1 ? '' : 's'} · ${hours.toFixed(1)} h · ${Math.round(minutes)} listener-min`;
+    };
+
+    const renderChannels = () => {
+        if (!dom.channelFilter) return;
+        const current = dom.channelFilter.value || initialChannel;
+        const names = [...new Set(broadcasts.map(b => b.channel))].sort();
+        dom.channelFilter.innerHTML = ['<option value="">All channels</option>',
+            ...names.map(name => `<option value="${escapeHtml(name)}">#${escapeHtml(name)}</option>`)].join('');
+        dom.channelFilter.value = names.includes(current) ? current : '';
+    };
+
+    const render = () => {
+        renderTotals();
+        renderPeakChart();
+        renderList();
+        if (dom.exportCsv) dom.exportCsv.href = withSession('/history/sessions.csv', { channel: dom.channelFilter?.value });
+    };
+
+    const select = async (id) => {
+        selectedId = id;
+        render();
+        try {
+            const res = await fetch(withSession(`/history/sessions/${encodeURIComponent(id)}`), { headers: hostHeaders() });
+            if (!res.ok) throw new Error();
+            renderDetail(await res.json());
+        } catch {
+            notify('Failed to load broadcast', 'error');
+        }
+    };
+
+    const load = async () => {
+        try {
+            const res = await fetch('/history/sessions', { headers: hostHeaders() });
+            if (res.status === 401) {
+                location.href = '/login';
+                return;
+            }
+            ({ sessions: broadcasts = [] } = await res.json());
+        } catch {
+            if (dom.list) dom.list.innerHTML = '<div class="viewer-empty">Failed to load history</div>';
+            return;
+        }
+        renderChannels();
+        render();
+        if (selectedId && broadcasts.some(b => b.id === selectedId)) select(selectedId);
+    };
+
+    const deleteSelected = async () => {
+        if (!selectedId || !confirm('Delete this broadcast from the history?')) return;
+        const res = await fetch(`/history/sessions/${encodeURIComponent(selectedId)}`, { method: 'DELETE', headers: hostHeaders() });
+        notify(res.ok ? 'Broadcast deleted' : 'Failed to delete broadcast', res.ok ? 'success' : 'error');
+        if (!res.ok) return;
+        selectedId = null;
+        dom.detailCard.hidden = true;
+        load();
+    };
+
+    const bindUI = () => {
+        if (dom.consoleLink) dom.consoleLink.href = withSession(initialChannel ? `/host/${encodeURIComponent(initialChannel)}` : '/');
+        dom.channelFilter?.addEventListener('change', render);
+        dom.deleteBtn?.addEventListener('click', deleteSelected);
+        dom.list?.addEventListener('click', (e) => {
+            const id = e.target.closest('[data-id]')?.dataset.id;
+            if (id) select(id);
+        });
+        dom.peakChart?.addEventListener('click', (e) => {
+            const id = e.target.closest('[data-id]')?.dataset.id;
+            if (id) select(id);
+        });
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        bindUI();
+        load();
+        setInterval(() => {
+            if (broadcasts.some(b => b.inProgress)) load();
+        }, REFRESH_INTERVAL);
+    });
+})();
@@ -11,18 +11,67 @@
         volumeDisplay: $('volumeDisplay'),
         enableBtn: $('enableAudio'),
         muteBtn: $('muteAudio'),
+        talkbackBtn: $('talkbackToggle'),
         notification: $('notification'),
-        qualityStats: $('qualityStats')
+        qualityStats: $('qualityStats'),
+        channelName: $('channelName'),
+        codeForm: $('joinCodeForm'),
+        codeInput: $('joinCodeInput'),
+        syncControls: $('syncControls'),
+        syncOffset: $('syncOffset'),
+        syncOffsetDisplay: $('syncOffsetDisplay'),
+        syncStatus: $('syncStatus'),
+        dataSaver: $('dataSaver'),
+        listenerName: $('listenerName'),
+        trackTitle: $('trackTitle'),
+        trackArtist: $('trackArtist'),
+        artwork: $('artwork'),
+        chatMessages: $('chatMessages'),
+        chatReactions: $('chatReactions'),
+        chatForm: $('chatForm'),
+        chatInput: $('chatInput'),
+        upcoming: $('upcoming'),
+        sourcePicker: $('sourcePicker'),
+        sourceList: $('sourceList')
     };
 
-    let socket, pc, audioEl, audioContext, analyser, hostId = null;
+    const channel = decodeURIComponent(location.pathname.match(/^\/listen\/([^/]+)/)?.[1] || 'main');
+    const tokenKey = `listenToken:${channel}`;
+
+    let socket, pc, audioContext, analyser, hostId = null;
     let muted = false, volume = 1;
     let currentLatencyMs = 150; // default latency
+    let syncMode = false, syncTargetMs = null, receiverDelayMs = null, fixedDelayMs = 0;
+    let clockOffset = 0, clockRtt = Infinity, clockTimer = null;
+    let syncOffsetMs = parseFloat(localStorage.getItem('syncOffset')) || 0;
+    let dataSaver = localStorage.getItem('dataSaver') === '1';
+    let banned = false;
+    let nowPlaying = null; // { title, artist, artwork } from the host
+    let upcoming = null, upcomingTimer = null; // next scheduled broadcast: { title, startsAt, endsAt, onAir }
+    let talkbackEnabled = false, talkbackState = 'idle', micStream = null;
+    let rtcConfig = { iceServers: [] };
+    let statsTimer = null, lastSample = null;
+    let joined = false, animating = false;
+    let rejoinTimer = null, recoverTimer = null, rejoinAttempt = 0;
     const bars = [];
+    const MAIN_SOURCE = 'main';
+    let sources = [{ id: MAIN_SOURCE, label: 'Main' }]; // what the host publishes, from the server's stats
+    let sourceMids = {}; // mid -> source ID, from the host's latest offer
+    const players = new Map(); // source ID -> { el, node }: an audio element per source so each has its own volume
+    const mixKey = `sourceMix:${channel}`;
+    const STATS_INTERVAL = 2000;
+    const RECOVER_TIMEOUT = 10000; // how long the host gets to repair a dropped connection with an ICE restart
+    const REJOIN_BASE_DELAY = 1000;
+    const REJOIN_MAX_DELAY = 30000;
+    const CLOCK_SAMPLES = 5; // pings per clock sync round; the lowest-RTT one wins
+    const CLOCK_INTERVAL = 30000;
+    const MIN_BUFFER_MS = 40; // never ask for less jitter buffer than this, whatever the jitter
+    const SYNC_GAIN = 0.5; // fraction of the measured error corrected per stats sample
+    const TALKBACK_LABELS = { idle: '✋ Ask to speak', requested: 'Lower hand', granted: 'Opening mic…', live: '🎙️ Stop talking' };
 
     const setStatus = (msg, type) => {
         dom.status.textContent = msg;
-        dom.status.style.color = type === 'error' ? '#f87171' : type === 'live' ? '#4ade80' : '#fff';
+        dom.status.style.color = { error: '#f87171', live: '#4ade80', warn: '#facc15' }[type] || '#fff';
     };
 
     const flash = msg => {
@@ -31,9 +80,59 @@
         setTimeout(() => dom.notification.classList.remove('show'), 3000);
     };
 
+    // Stable per-browser token so a ban still applies after the listener's IP changes
+    const deviceId = localStorage.getItem('deviceId') || (() => {
+        const id = crypto.randomUUID?.() || `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+        localStorage.setItem('deviceId', id);
+        return id;
+    })();
+
+    const detectDevice = () => {
+        const ua = navigator.userAgent;
+        if (/iPad|Tablet/i.test(ua) || (/Macintosh/.test(ua) && navigator.maxTouchPoints > 1)) return 'Tablet';
+        if (/iPhone|Android.+Mobile|Mobile/i.test(ua)) return /iPhone/.test(ua) ? 'iPhone' : 'Android phone';
+        if (/Android/i.test(ua)) return 'Android tablet';
+        if (/CrOS/.test(ua)) return 'Chromebook';
+        if (/Windows/.test(ua)) return 'Windows PC';
+        if (/Macintosh/.test(ua)) return 'Mac';
+        if (/Linux/.test(ua)) return 'Linux PC';
+        return 'Unknown device';
+    };
+
+    // Which sources to hear and how loud each one is, kept per channel
+    const mix = (() => {
+        try {
+            const saved = JSON.parse(localStorage.getItem(mixKey));
+            if (Array.isArray(saved?.selected) && saved.selected.length) return { selected: saved.selected, volumes: saved.volumes || {} };
+        } catch { }
+        return { selected: [MAIN_SOURCE], volumes: {} };
+    })();
+
+    // The picked sources the host still publishes; with none of them left, the first source
+    const subscribedSources = () => {
+        const picked = mix.selected.filter(id => sources.some(s => s.id === id));
+        return picked.length ? picked : [sources[0].id];
+    };
+
+    // Sent with every viewer-join so the host's listener panel can tell devices apart
+    const joinProfile = () => ({
+        dataSaver,
+        name: dom.listenerName.value.trim().slice(0, 32),
+        device: detectDevice(),
+        deviceId,
+        sources: subscribedSources()
+    });
+
+    const DEFAULT_OPUS_FMTP = 'minptime=10;stereo=1;sprop-stereo=1;maxaveragebitrate=510000;maxplaybackrate=48000;cbr=0;useinbandfec=0;usedtx=0';
+
+    // The host picks FEC/DTX per listener, so answer with the Opus parameters it offered
+    const offeredOpusFmtp = (sdp) => {
+        const payload = sdp.match(/a=rtpmap:(\d+) opus\/48000\/2/)?.[1];
+        return payload && sdp.match(new RegExp(`a=fmtp:${payload} ([^\r\n]+)`))?.[1];
+    };
+
     // Enhance SDP for maximum Opus quality
-    const enhanceOpusSDP = (sdp) => {
-        const opusFmtp = 'minptime=10;stereo=1;sprop-stereo=1;maxaveragebitrate=510000;maxplaybackrate=48000;cbr=0;useinbandfec=0;usedtx=0';
+    const enhanceOpusSDP = (sdp, opusFmtp = DEFAULT_OPUS_FMTP) => {
         const lines = sdp.split('\r\n');
         const result = [];
         let opusPayload = null;
@@ -74,56 +173,247 @@
         }
     };
 
-    const applyPlayoutDelay = () => {
+    // jitterBufferTarget (ms) is the standard name; older Chromium only has playoutDelayHint (s)
+    const setReceiverDelay = (ms) => {
         if (!pc) return;
-        const receivers = pc.getReceivers();
-        for (const receiver of receivers) {
-            if (receiver.track && receiver.track.kind === 'audio') {
-                if ('playoutDelayHint' in receiver) {
-                    receiver.playoutDelayHint = currentLatencyMs / 1000;
-                    console.log(`Applied playout delay hint: ${receiver.playoutDelayHint}s`);
-                }
+        for (const receiver of pc.getReceivers()) {
+            if (receiver.track?.kind !== 'audio') continue;
+            if ('jitterBufferTarget' in receiver) receiver.jitterBufferTarget = ms;
+            else if ('playoutDelayHint' in receiver) receiver.playoutDelayHint = ms / 1000;
+        }
+    };
+
+    const applyPlayoutDelay = () => {
+        const ms = syncMode && receiverDelayMs != null ? receiverDelayMs : currentLatencyMs;
+        setReceiverDelay(ms);
+        console.log(`Applied playout delay: ${Math.round(ms)}ms${syncMode ? ' (sync)' : ''}`);
+    };
+
+    // Clock reference: NTP-style pings against the server, keeping the sample with the lowest RTT
+    const syncClock = () => {
+        let sent = 0;
+        clockRtt = Infinity;
+        const ping = () => {
+            if (!socket.connected) return;
+            socket.emit('clock-ping', { t0: Date.now() });
+            if (++sent < CLOCK_SAMPLES) setTimeout(ping, 200);
+        };
+        ping();
+    };
+
+    const serverNow = () => Date.now() + clockOffset;
+
+    const outputLatencyMs = () => ((audioContext?.outputLatency || audioContext?.baseLatency || 0) * 1000);
+
+    const renderSync = (actualMs) => {
+        dom.syncControls.hidden = !syncMode;
+        dom.syncOffsetDisplay.textContent = `${syncOffsetMs > 0 ? '+' : ''}${syncOffsetMs}ms`;
+        dom.syncStatus.textContent = !syncMode ? '' : syncTargetMs == null
+            ? 'Sync: measuring…'
+            : `Sync: target ${syncTargetMs}ms · playing at ~${Math.round(actualMs ?? syncTargetMs)}ms · clock ±${Math.round(clockRtt / 2)}ms`;
+    };
+
+    /**
+     * End-to-end delay is estimated as network (RTT / 2) + jitter buffer + audio output latency.
+     * Each device reports the lowest delay it could safely play at; the server answers with the
+     * slowest one plus a margin, and every device steers its jitter buffer to hit that target.
+     */
+    const updateSync = (stats) => {
+        fixedDelayMs = stats.rttMs / 2 + outputLatencyMs();
+        const minBufferMs = Math.max(MIN_BUFFER_MS, stats.jitterMs * 4);
+        socket.emit('sync-report', { minDelayMs: Math.round(fixedDelayMs + minBufferMs) });
+
+        if (syncTargetMs == null) return renderSync();
+
+        // The browser treats the target as a hint, so correct by what it actually achieved
+        const wantBufferMs = syncTargetMs + syncOffsetMs - fixedDelayMs;
+        const errorMs = wantBufferMs - stats.bufferMs;
+        receiverDelayMs = Math.min(Math.max((receiverDelayMs ?? wantBufferMs) + errorMs * SYNC_GAIN, 0), 4000);
+        setReceiverDelay(receiverDelayMs);
+        renderSync(fixedDelayMs + stats.bufferMs);
+    };
+
+    const setSyncOffset = () => {
+        syncOffsetMs = parseInt(dom.syncOffset.value, 10) || 0;
+        localStorage.setItem('syncOffset', syncOffsetMs);
+        renderSync();
+    };
+
+    // Data saver asks the host for a low bitrate; it applies to the live connection without rejoining
+    const setDataSaver = () => {
+        dataSaver = dom.dataSaver.checked;
+        localStorage.setItem('dataSaver', dataSaver ? '1' : '0');
+        if (joined && socket?.connected) socket.emit('listener-profile', { dataSaver });
+    };
+
+    const setListenerName = () => {
+        const name = dom.listenerName.value.trim().slice(0, 32);
+        localStorage.setItem('listenerName', name);
+        if (joined && socket?.connected) socket.emit('listener-profile', { name });
+    };
+
+    const showBanned = () => {
+        banned = true;
+        teardown();
+        dom.enableBtn.hidden = true;
+        dom.codeForm.hidden = true;
+        setStatus('Banned by host', 'error');
+    };
+
+    const showCodeForm = (error) => {
+        dom.codeForm.hidden = false;
+        dom.enableBtn.hidden = true;
+        setStatus('Join code required', 'error');
+        if (error) flash(error);
+        dom.codeInput.focus();
+    };
+
+    // Trade the channel's join code (if the host set one) for a listener session token
+    const authenticate = async (code) => {
+        try {
+            const res = await fetch('/auth/listen', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ channel, code, deviceId })
+            });
+            const data = await res.json();
+            if (res.status === 403) {
+                showBanned();
+                return null;
+            }
+            if (!res.ok) {
+                if (data.codeRequired) showCodeForm(code ? data.error : null);
+                else flash(data.error || 'Unable to join');
+                return null;
             }
+            sessionStorage.setItem(tokenKey, data.token);
+            return data.token;
+        } catch {
+            flash('Server unreachable');
+            return null;
         }
     };
 
-    const initSocket = () => {
-        socket = io();
+    const connect = async (code) => {
+        const token = sessionStorage.getItem(tokenKey) || await authenticate(code);
+        if (!token) return;
+        dom.codeForm.hidden = true;
+        dom.enableBtn.hidden = false;
+        setStatus('Waiting', '');
+        initSocket(token);
+    };
+
+    const initSocket = (token) => {
+        socket = io({ query: { channel }, auth: { role: 'listener', token, deviceId } });
+
+        socket.on('connect_error', (err) => {
+            if (err.message === 'banned') {
+                socket.close();
+                return showBanned();
+            }
+            if (err.message !== 'unauthorized') return;
+            sessionStorage.removeItem(tokenKey);
+            socket.close();
+            connect();
+        });
 
         socket.on('connect', () => {
             dom.connection.textContent = 'Connected';
             dom.connection.style.color = '#4ade80';
+            syncClock();
+            clearInterval(clockTimer);
+            clockTimer = setInterval(syncClock, CLOCK_INTERVAL);
+            // A reconnected socket has a new ID, so the old peer connection is useless
+            if (joined) {
+                closePeer();
+                setStatus('Reconnecting…', 'warn');
+                socket.emit('viewer-join', joinProfile());
+            }
         });
 
-        socket.on('disconnect', () => {
+        socket.on('disconnect', (reason) => {
             dom.connection.textContent = 'Disconnected';
             dom.connection.style.color = '#f87171';
-            setStatus('Disconnected', 'error');
-            teardown();
+            // Socket.IO only gives up on its own when the server closed the socket deliberately
+            if (banned) return;
+            if (joined && reason !== 'io server disconnect') {
+                closePeer();
+                setStatus('Reconnecting…', 'warn');
+            } else {
+                teardown();
+                setStatus('Disconnected', 'error');
+            }
         });
 
         socket.on('no-host', () => {
+            if (joined) return scheduleRejoin('Waiting for host…');
             setStatus('No host', 'error');
             flash('No host streaming');
-            dom.enableBtn.hidden = false;
         });
 
-        socket.on('host-left', () => { setStatus('Host left', 'error'); teardown(); });
-        socket.on('host-stopped', () => { setStatus('Stopped', ''); teardown(); });
-        socket.on('host-streaming', () => { if (dom.enableBtn.hidden) socket.emit('viewer-join'); });
+        socket.on('disconnect-request', () => {
+            teardown();
+            setStatus('Removed by host', 'error');
+            flash('The host removed you from the stream');
+        });
+
+        socket.on('banned', showBanned);
+
+        socket.on('muted-by-host', ({ muted: mutedByHost }) => {
+            setStatus(mutedByHost ? 'Muted by host' : 'Live', mutedByHost ? 'warn' : 'live');
+            flash(mutedByHost ? 'The host muted your stream' : 'The host unmuted your stream');
+        });
+
+        socket.on('talkback-settings', ({ enabled }) => {
+            talkbackEnabled = enabled;
+            renderTalkback();
+        });
+
+        socket.on('talkback-state', async ({ state }) => {
+            talkbackState = state;
+            renderTalkback();
+            if (state === 'granted') await openTalkbackMic();
+            else if (state === 'live') flash('You have the floor, go ahead');
+            else if (state === 'idle') releaseTalkbackMic();
+        });
 
-        socket.on('webrtc-offer', async ({ sdp, hostId: hid }) => {
+        socket.on('now-playing', (info) => {
+            nowPlaying = info;
+            renderNowPlaying();
+        });
+
+        socket.on('schedule-upcoming', (info) => {
+            if (info?.onAir && !upcoming?.onAir) flash(`"${info.title}" is starting`);
+            upcoming = info;
+            renderUpcoming();
+        });
+
+        socket.on('host-left', () => scheduleRejoin('Host left, waiting…'));
+        socket.on('host-stopped', () => { closePeer(); if (joined) setStatus('Stopped, waiting for host…', 'warn'); });
+        socket.on('host-streaming', () => {
+            if (!joined || pc) return;
+            clearTimeout(rejoinTimer);
+            socket.emit('viewer-join', joinProfile());
+        });
+
+        socket.on('webrtc-offer', async ({ sdp, hostId: hid, iceRestart, renegotiate, sources: mids = {} }) => {
+            // ICE restarts and renegotiations update the existing connection; any other offer starts a fresh one
+            if (!(iceRestart || renegotiate) || hid !== hostId) closePeer();
             hostId = hid;
+            sourceMids = mids;
+            clearTimeout(rejoinTimer);
             await setupPeerConnection();
 
             // Enhance the incoming offer SDP
-            const enhancedOffer = enhanceOpusSDP(sdp);
+            const opusFmtp = offeredOpusFmtp(sdp.sdp) || DEFAULT_OPUS_FMTP;
+            const enhancedOffer = enhanceOpusSDP(sdp.sdp, opusFmtp);
             await pc.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp: enhancedOffer }));
+            await attachTalkbackMic();
 
             const answer = await pc.createAnswer();
 
             // Enhance the answer SDP to request maximum quality
-            answer.sdp = enhanceOpusSDP(answer.sdp);
+            answer.sdp = enhanceOpusSDP(answer.sdp, opusFmtp);
 
             await pc.setLocalDescription(answer);
             socket.emit('webrtc-answer', { hostId, sdp: answer });
@@ -138,25 +428,75 @@
             }
         });
 
-        socket.on('stats', ({ viewerCount }) => {
+        // ICE servers (STUN/TURN) come from the server; empty means LAN-only
+        socket.on('ice-config', (config) => {
+            rtcConfig = config;
+            pc?.setConfiguration(config);
+        });
+
+        socket.on('signal-error', ({ event, code, message }) => {
+            console.warn(`Server rejected ${event}: ${code}`);
+            if (code === 'channel-full') {
+                teardown();
+                setStatus('Channel full', 'error');
+            }
+            if (['slow-mode', 'chat-disabled', 'talkback-disabled', 'channel-full', 'rate-limited'].includes(code)) flash(message);
+        });
+
+        socket.on('chat-history', ({ messages, settings }) => {
+            dom.chatMessages.innerHTML = '';
+            messages.forEach(renderChatMessage);
+            renderChatSettings(settings);
+        });
+        socket.on('chat-message', renderChatMessage);
+        socket.on('chat-deleted', ({ messageId }) => {
+            dom.chatMessages.querySelector(`[data-id="${CSS.escape(messageId)}"]`)?.remove();
+        });
+        socket.on('chat-settings', renderChatSettings);
+        socket.on('chat-reaction', showReaction);
+
+        socket.on('stats', ({ viewerCount, sources: published }) => {
             dom.clients.textContent = `${viewerCount} listeners`;
+            if (published) updateSources(published);
         });
         
-        socket.on('tune-settings', ({ latency }) => {
-            if (latency) {
+        socket.on('tune-settings', ({ latency, syncMode: sync = false }) => {
+            if (typeof latency === 'number') {
                 currentLatencyMs = latency;
-                applyPlayoutDelay();
                 console.log(`Received new tune settings, latency: ${latency}ms`);
             }
+            if (sync !== syncMode) {
+                syncMode = sync;
+                syncTargetMs = null;
+                receiverDelayMs = null;
+            }
+            applyPlayoutDelay();
+            renderSync();
+        });
+
+        socket.on('clock-pong', ({ t0, serverTime }) => {
+            const t1 = Date.now();
+            if (t1 - t0 > clockRtt) return;
+            clockRtt = t1 - t0;
+            clockOffset = serverTime - (t0 + t1) / 2;
+        });
+
+        // Every listener switches to a new target at the same server time
+        socket.on('sync-target', ({ targetMs, effectiveAt }) => {
+            setTimeout(() => {
+                if (!syncMode) return;
+                syncTargetMs = targetMs;
+                receiverDelayMs = Math.max(targetMs + syncOffsetMs - fixedDelayMs, 0);
+                applyPlayoutDelay();
+                renderSync();
+            }, Math.max(0, effectiveAt - serverNow()));
         });
     };
 
     const setupPeerConnection = async () => {
         if (pc) return;
 
-        pc = new RTCPeerConnection({
-            iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
-        });
+        pc = new RTCPeerConnection(rtcConfig);
 
         pc.onicecandidate = e => {
             if (e.candidate && hostId) {
@@ -164,78 +504,502 @@
             }
         };
 
+        // One track per source the host publishes; tracks the offer doesn't label are the main mix
         pc.ontrack = e => {
-            const stream = e.streams[0];
-
-            // Create audio element
-            if (!audioEl) {
-                audioEl = document.createElement('audio');
-                audioEl.autoplay = true;
-                audioEl.playsInline = true;
-                document.body.appendChild(audioEl);
-            }
-
-            audioEl.srcObject = stream;
-            audioEl.volume = volume;
+            playSource(sourceMids[e.transceiver?.mid] || MAIN_SOURCE, e.streams[0] || new MediaStream([e.track]));
 
             // Apply playout delay when track arrives
-            if ('playoutDelayHint' in e.receiver) {
-                e.receiver.playoutDelayHint = currentLatencyMs / 1000;
-            }
+            applyPlayoutDelay();
 
-            // Create audio context for visualization
-            if (!audioContext) {
-                audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                    sampleRate: 48000
-                });
-                analyser = audioContext.createAnalyser();
-                analyser.fftSize = 64;
-
-                const source = audioContext.createMediaStreamSource(stream);
-                source.connect(analyser);
-                // Don't connect to destination - audio element handles playback
-            }
-
-            audioEl.play().catch(() => setStatus('Tap to enable', 'error'));
             setStatus('LIVE', 'live');
             animate();
+            startStats();
         };
 
         pc.onconnectionstatechange = () => {
             const state = pc.connectionState;
-            if (['failed', 'disconnected', 'closed'].includes(state)) {
-                teardown();
+            if (state === 'connected') {
+                clearTimeout(recoverTimer);
+                recoverTimer = null;
+                rejoinAttempt = 0;
+                setStatus('LIVE', 'live');
+            } else if (state === 'disconnected' || state === 'failed') {
+                // The host answers this with an ICE restart; rejoin from scratch if that doesn't help
+                setStatus('Reconnecting…', 'warn');
+                if (!recoverTimer) recoverTimer = setTimeout(() => scheduleRejoin('Reconnecting…'), RECOVER_TIMEOUT);
             }
         };
     };
 
+    // Sources: each plays through its own audio element; Web Audio only taps them for the visualizer
+    const playSource = (id, stream) => {
+        let player = players.get(id);
+        if (!player) {
+            const el = document.createElement('audio');
+            el.autoplay = true;
+            el.playsInline = true;
+            document.body.appendChild(el);
+            player = { el, node: null };
+            players.set(id, player);
+        }
+        player.el.srcObject = stream;
+
+        // Create audio context for visualization
+        if (!audioContext) {
+            audioContext = new (window.AudioContext || window.webkitAudioContext)({
+                sampleRate: 48000
+            });
+            analyser = audioContext.createAnalyser();
+            analyser.fftSize = 64;
+        }
+
+        // Don't connect to destination - the audio element handles playback
+        player.node?.disconnect();
+        player.node = audioContext.createMediaStreamSource(stream);
+        player.node.connect(analyser);
+
+        applyVolumes();
+        player.el.play().catch(() => setStatus('Tap to enable', 'error'));
+    };
+
+    const removePlayer = (id) => {
+        const player = players.get(id);
+        if (!player) return;
+        players.delete(id);
+        player.node?.disconnect();
+        player.el.srcObject = null;
+        player.el.remove();
+    };
+
+    // Sources we don't subscribe to are muted here too, so switching away is instant
+    const applyVolumes = () => {
+        const hearing = subscribedSources();
+        players.forEach(({ el }, id) => {
+            el.volume = volume * (mix.volumes[id] ?? 1);
+            el.muted = muted || !hearing.includes(id);
+        });
+    };
+
+    const saveMix = () => localStorage.setItem(mixKey, JSON.stringify(mix));
+
+    // The host only sends the sources we subscribe to
+    const sendSubscription = () => {
+        if (joined && socket?.connected) socket.emit('listener-profile', { sources: subscribedSources() });
+    };
+
+    // Labels come from the host, so they only ever go in as text
+    const renderSources = () => {
+        dom.sourcePicker.hidden = sources.length < 2;
+        const hearing = subscribedSources();
+        dom.sourceList.replaceChildren(...sources.map(({ id, label }) => {
+            const row = document.createElement('div');
+            row.className = 'source-row';
+            row.dataset.source = id;
+
+            const toggle = document.createElement('label');
+            toggle.className = 'toggle';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = hearing.includes(id);
+            toggle.append(box, label);
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = '0';
+            slider.max = '100';
+            slider.value = Math.round((mix.volumes[id] ?? 1) * 100);
+            slider.title = `${label} volume`;
+
+            const level = document.createElement('span');
+            level.textContent = `${slider.value}%`;
+
+            row.append(toggle, slider, level);
+            return row;
+        }));
+    };
+
+    const updateSources = (published) => {
+        const list = published.map(({ id, label }) => ({ id, label }));
+        if (JSON.stringify(list) === JSON.stringify(sources)) return;
+        const before = subscribedSources().join();
+        sources = list.length ? list : [{ id: MAIN_SOURCE, label: 'Main' }];
+        [...players.keys()].filter(id => !sources.some(s => s.id === id)).forEach(removePlayer);
+        renderSources();
+        applyVolumes();
+        // A source we were hearing went away, so we fell back to another one
+        if (subscribedSources().join() !== before) sendSubscription();
+    };
+
+    // One ticked source plays alone; several play as a mix, each at its own volume
+    const toggleSource = (id, on) => {
+        const hearing = subscribedSources();
+        const next = on ? [...hearing, id] : hearing.filter(s => s !== id);
+        if (!next.length) {
+            renderSources();
+            return flash('Pick at least one source to hear');
+        }
+        mix.selected = sources.map(s => s.id).filter(s => next.includes(s));
+        saveMix();
+        applyVolumes();
+        sendSubscription();
+    };
+
+    const onSourceInput = (e) => {
+        const row = e.target.closest('[data-source]');
+        if (!row) return;
+        const { source } = row.dataset;
+        if (e.target.type === 'checkbox') return toggleSource(source, e.target.checked);
+        mix.volumes[source] = e.target.value / 100;
+        row.lastChild.textContent = `${e.target.value}%`;
+        saveMix();
+        applyVolumes();
+    };
+
+    // Talkback: the host renegotiates our connection to sendrecv once our mic is open
+    const openTalkbackMic = async () => {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true, channelCount: 1 }
+            });
+            // The host may have ended the talk while the permission prompt was up
+            if (talkbackState !== 'granted') return stream.getTracks().forEach(t => t.stop());
+            micStream = stream;
+            socket.emit('talkback-ready');
+        } catch (e) {
+            flash(`Microphone unavailable: ${e.message}`);
+            socket.emit('talkback-request', { raised: false });
+        }
+    };
+
+    // Runs between setRemoteDescription and createAnswer so the answer carries the right direction
+    const attachTalkbackMic = async () => {
+        const transceiver = pc?.getTransceivers()[0];
+        if (!transceiver) return;
+        const track = micStream?.getAudioTracks()[0] || null;
+        transceiver.direction = track ? 'sendrecv' : 'recvonly';
+        await transceiver.sender.replaceTrack(track).catch(() => { });
+    };
+
+    const releaseTalkbackMic = () => {
+        micStream?.getTracks().forEach(t => t.stop());
+        micStream = null;
+        pc?.getTransceivers()[0]?.sender.replaceTrack(null).catch(() => { });
+    };
+
+    const renderTalkback = () => {
+        dom.talkbackBtn.hidden = !(talkbackEnabled && joined);
+        dom.talkbackBtn.textContent = TALKBACK_LABELS[talkbackState];
+        dom.talkbackBtn.disabled = talkbackState === 'granted';
+    };
+
+    const toggleTalkback = () => {
+        if (!joined || !socket?.connected) return;
+        socket.emit('talkback-request', { raised: talkbackState === 'idle' });
+    };
+
+    const round1 = v => Math.round(v * 10) / 10;
+
+    const renderStats = (s) => {
+        dom.qualityStats.textContent =
+            `RTT ${s.rttMs}ms | Jitter ${s.jitterMs}ms | Loss ${s.lossPct}% | ` +
+            `Concealed ${s.concealedPct}% | Buffer ${s.bufferMs}ms | ${s.bitrateKbps}kbps`;
+    };
+
+    // Sample the receiver's WebRTC stats; rates are computed against the previous sample.
+    // With several sources the counters are summed over their tracks and the worst jitter counts.
+    const sampleStats = async () => {
+        if (!pc) return;
+
+        const inbound = [];
+        let pair;
+        (await pc.getStats()).forEach(r => {
+            if (r.type === 'inbound-rtp' && r.kind === 'audio') inbound.push(r);
+            if (r.type === 'candidate-pair' && r.nominated && r.state === 'succeeded') pair = r;
+        });
+        if (!inbound.length) return;
+
+        const total = key => inbound.reduce((sum, r) => sum + (r[key] || 0), 0);
+        const sample = {
+            time: inbound[0].timestamp,
+            bytes: total('bytesReceived'),
+            lost: total('packetsLost'),
+            received: total('packetsReceived'),
+            concealed: total('concealedSamples'),
+            samples: total('totalSamplesReceived'),
+            bufferDelay: total('jitterBufferDelay'),
+            emitted: total('jitterBufferEmittedCount')
+        };
+        const prev = lastSample;
+        lastSample = sample;
+        if (!prev) return;
+
+        const delta = key => Math.max(0, sample[key] - prev[key]);
+        const packets = delta('lost') + delta('received');
+        const stats = {
+            rttMs: Math.round((pair?.currentRoundTripTime || 0) * 1000),
+            jitterMs: Math.round(Math.max(...inbound.map(r => r.jitter || 0)) * 1000),
+            // bytes * 8 / ms === kbit/s
+            bitrateKbps: Math.round(delta('bytes') * 8 / Math.max(1, sample.time - prev.time)),
+            lossPct: packets ? round1(delta('lost') / packets * 100) : 0,
+            concealedPct: delta('samples') ? round1(delta('concealed') / delta('samples') * 100) : 0,
+            bufferMs: delta('emitted') ? Math.round(delta('bufferDelay') / delta('emitted') * 1000) : 0
+        };
+
+        socket.emit('listener-stats', stats);
+        renderStats(stats);
+        if (syncMode) updateSync(stats);
+    };
+
+    const startStats = () => {
+        if (statsTimer) return;
+        lastSample = null;
+        statsTimer = setInterval(() => sampleStats().catch(() => { }), STATS_INTERVAL);
+    };
+
+    const stopStats = () => {
+        clearInterval(statsTimer);
+        statsTimer = null;
+        lastSample = null;
+        dom.qualityStats.textContent = '';
+    };
+
+    // Drop the peer connection but keep the audio element and context, so playback
+    // can resume after a reconnect without another user gesture
+    const closePeer = () => {
+        stopStats();
+        clearTimeout(recoverTimer);
+        recoverTimer = null;
+        // A new connection starts without talkback; the server resets our state when we rejoin
+        releaseTalkbackMic();
+        talkbackState = 'idle';
+        renderTalkback();
+        if (pc) { pc.onconnectionstatechange = null; pc.close(); pc = null; }
+        players.forEach(({ el }) => { el.srcObject = null; });
+        bars.forEach(b => b.style.height = '4px');
+    };
+
+    const scheduleRejoin = (message) => {
+        closePeer();
+        if (!joined) return;
+        clearTimeout(rejoinTimer);
+        const delay = Math.min(REJOIN_BASE_DELAY * 2 ** rejoinAttempt++, REJOIN_MAX_DELAY);
+        setStatus(message, 'warn');
+        // When the socket itself is down, its 'connect' handler rejoins instead
+        rejoinTimer = setTimeout(() => { if (socket.connected) socket.emit('viewer-join', joinProfile()); }, delay);
+    };
+
     const joinStream = () => {
+        joined = true;
+        rejoinAttempt = 0;
         dom.enableBtn.hidden = true;
         dom.muteBtn.hidden = false;
+        renderTalkback();
         setStatus('Joining...', '');
-        socket.emit('viewer-join');
+        socket.emit('viewer-join', joinProfile());
     };
 
-    const toggleMute = () => {
-        muted = !muted;
-        if (audioEl) audioEl.muted = muted;
+    const setMuted = (value) => {
+        muted = value;
+        applyVolumes();
         dom.muteBtn.textContent = muted ? 'Unmute' : 'Mute';
+        if ('mediaSession' in navigator) navigator.mediaSession.playbackState = muted ? 'paused' : 'playing';
+    };
+
+    const toggleMute = () => setMuted(!muted);
+
+    // Chat - built with textContent since messages come from other listeners
+    const renderChatMessage = ({ id, from, author, text, sentAt }) => {
+        const row = document.createElement('div');
+        row.className = `chat-message${from === 'host' ? ' chat-message--host' : ''}`;
+        row.dataset.id = id;
+
+        const meta = document.createElement('span');
+        meta.className = 'chat-meta';
+        meta.textContent = `${new Date(sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} ${author}`;
+
+        const body = document.createElement('span');
+        body.className = 'chat-text';
+        body.textContent = text;
+
+        row.append(meta, body);
+        dom.chatMessages.appendChild(row);
+        dom.chatMessages.scrollTop = dom.chatMessages.scrollHeight;
+    };
+
+    const renderChatSettings = ({ enabled, slowModeSec, reactions }) => {
+        dom.chatInput.disabled = !enabled;
+        dom.chatInput.placeholder = !enabled
+            ? 'Chat is turned off by the host'
+            : slowModeSec ? `Slow mode: one message every ${slowModeSec}s` : 'Say something to the host';
+        if (reactions && !dom.chatReactions.childElementCount) {
+            dom.chatReactions.innerHTML = reactions.map(e => `<button type="button" class="chat-reaction" data-emoji="${e}">${e}</button>`).join('');
+        }
+    };
+
+    const showReaction = ({ emoji, author }) => {
+        const burst = document.createElement('span');
+        burst.className = 'reaction-burst';
+        burst.textContent = emoji;
+        burst.title = author;
+        burst.style.left = `${10 + Math.random() * 80}%`;
+        dom.chatMessages.parentElement.appendChild(burst);
+        setTimeout(() => burst.remove(), 2000);
+    };
+
+    // Chatting needs a joined listener: the host sees our name, not an anonymous socket
+    const canChat = () => {
+        if (joined && socket?.connected) return true;
+        flash('Press Enable Audio to join the chat');
+        return false;
+    };
+
+    const sendChat = (e) => {
+        e.preventDefault();
+        const text = dom.chatInput.value.trim();
+        if (!text || !canChat()) return;
+        socket.emit('chat-message', { text });
+        dom.chatInput.value = '';
+    };
+
+    const onChatButton = (e) => {
+        const { emoji, volume: direction } = e.target.dataset || {};
+        if (!(emoji || direction) || !canChat()) return;
+        if (emoji) socket.emit('chat-reaction', { emoji });
+        else {
+            socket.emit('volume-request', { direction });
+            flash(`Asked the host to turn it ${direction}`);
+        }
+    };
+
+    // Now Playing - shown on the page and on lock screens through the Media Session API
+    const renderNowPlaying = () => {
+        const { title, artist, artwork } = nowPlaying || {};
+        dom.trackTitle.textContent = title || 'Audio Stream';
+        dom.trackArtist.textContent = artist || '';
+        dom.trackArtist.hidden = !artist;
+        dom.artwork.hidden = !artwork;
+        if (artwork) dom.artwork.src = artwork;
+        else dom.artwork.removeAttribute('src');
+        document.title = title ? `${title} · Live Audio Share` : 'Live Audio Share';
+
+        if (!('mediaSession' in navigator) || !window.MediaMetadata) return;
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: title || 'Live Audio Share',
+            artist: artist || '',
+            album: `#${channel}`,
+            artwork: artwork ? [{ src: artwork, sizes: '512x512' }] : []
+        });
+    };
+
+    // Scheduled broadcasts - counts down on the server's clock, so a phone with the wrong time still gets it right
+    const formatCountdown = (ms) => {
+        const total = Math.max(0, Math.ceil(ms / 1000));
+        const d = Math.floor(total / 86400), h = Math.floor(total / 3600) % 24, m = Math.floor(total / 60) % 60, sec = total % 60;
+        if (d) return `${d}d ${h}h`;
+        return `${h ? `${h}:` : ''}${String(m).padStart(h ? 2 : 1, '0')}:${String(sec).padStart(2, '0')}`;
+    };
+
+    const renderUpcoming = () => {
+        dom.upcoming.hidden = !upcoming;
+        if (!upcoming) {
+            clearInterval(upcomingTimer);
+            upcomingTimer = null;
+            return;
+        }
+        if (!upcomingTimer) upcomingTimer = setInterval(renderUpcoming, 1000);
+
+        const left = upcoming.startsAt - serverNow();
+        const time = document.createElement('strong');
+        if (upcoming.onAir || left <= 0) {
+            time.textContent = `until ${new Date(upcoming.endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+            dom.upcoming.replaceChildren(`⏰ Scheduled now: ${upcoming.title} `, time);
+        } else {
+            time.textContent = formatCountdown(left);
+            dom.upcoming.replaceChildren(`⏰ Up next: ${upcoming.title} · starts in `, time);
+        }
+    };
+
+    // Lock screen play/pause map to mute; a live stream can't actually pause
+    const bindMediaSession = () => {
+        if (!('mediaSession' in navigator)) return;
+        const handlers = { play: () => setMuted(false), pause: () => setMuted(true), stop: () => setMuted(true) };
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch { }
+        });
     };
 
     const teardown = () => {
-        if (pc) { pc.close(); pc = null; }
-        if (audioEl) { audioEl.srcObject = null; audioEl.remove(); audioEl = null; }
+        joined = false;
+        clearTimeout(rejoinTimer);
+        closePeer();
+        [...players.keys()].forEach(removePlayer);
         if (audioContext) { audioContext.close(); audioContext = null; analyser = null; }
-        bars.forEach(b => b.style.height = '4px');
         dom.enableBtn.hidden = false;
         dom.muteBtn.hidden = true;
+        talkbackState = 'idle';
+        renderTalkback();
         setStatus('Waiting', '');
     };
 
     const animate = () => {
-        if (!analyser) return;
+        if (!analyser || animating) return;
+        animating = true;
 
         const data = new Uint8Array(analyser.frequencyBinCount);
 
         const step = () => {
-            if (!pc || !au
+            if (!pc || !players.size || !analyser) {
+                animating = false;
+                return;
+            }
+
+            analyser.getByteFrequencyData(data);
+            bars.forEach((bar, i) => {
+                const level = data[i % data.length] / 255;
+                bar.style.height = `${Math.max(4, level * 120)}px`;
+            });
+
+            requestAnimationFrame(step);
+        };
+
+        requestAnimationFrame(step);
+    };
+
+    const setVolume = () => {
+        volume = dom.volume.value / 100;
+        applyVolumes();
+        dom.volumeDisplay.textContent = `${dom.volume.value}%`;
+    };
+
+    const bindUI = () => {
+        dom.enableBtn.addEventListener('click', joinStream);
+        dom.muteBtn.addEventListener('click', toggleMute);
+        dom.talkbackBtn.addEventListener('click', toggleTalkback);
+        dom.volume.addEventListener('input', setVolume);
+        dom.sourceList.addEventListener('input', onSourceInput);
+        dom.syncOffset.addEventListener('input', setSyncOffset);
+        dom.dataSaver.addEventListener('change', setDataSaver);
+        dom.listenerName.addEventListener('change', setListenerName);
+        dom.artwork.addEventListener('error', () => { dom.artwork.hidden = true; });
+        dom.chatForm.addEventListener('submit', sendChat);
+        dom.chatReactions.parentElement.addEventListener('click', onChatButton);
+        bindMediaSession();
+        dom.codeForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            connect(dom.codeInput.value.trim());
+        });
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        dom.channelName.textContent = `#${channel}`;
+        dom.syncOffset.value = syncOffsetMs;
+        dom.dataSaver.checked = dataSaver;
+        dom.listenerName.value = localStorage.getItem('listenerName') || '';
+        initBars();
+        renderSources();
+        bindUI();
+        connect();
+    });
+})();
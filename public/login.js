@@ -0,0 +1,48 @@
+(() => {
+    'use strict';
+
+    const $ = id => document.getElementById(id);
+    const dom = {
+        form: $('loginForm'),
+        password: $('passwordInput'),
+        channel: $('channelInput'),
+        listenLink: $('listenLink'),
+        notification: $('notification')
+    };
+
+    const flash = msg => {
+        dom.notification.textContent = msg;
+        dom.notification.classList.add('show');
+        setTimeout(() => dom.notification.classList.remove('show'), 3000);
+    };
+
+    const login = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await fetch('/auth/host', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password: dom.password.value })
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                flash(data.error || 'Login failed');
+                dom.password.select();
+                return;
+            }
+            const channel = encodeURIComponent(dom.channel.value.trim() || 'main');
+            location.href = `/host/${channel}?session=${encodeURIComponent(data.token)}`;
+        } catch {
+            flash('Server unreachable');
+        }
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const channel = new URLSearchParams(location.search).get('channel');
+        if (channel) {
+            dom.channel.value = channel;
+            dom.listenLink.href = `/listen/${encodeURIComponent(channel)}`;
+        }
+        dom.form.addEventListener('submit', login);
+    });
+})();
@@ -10,9 +10,14 @@
     const dom = {
         shareUrl: $('shareUrlInput'),
         listenUrl: $('listenUrlInput'),
+        streamUrl: $('streamUrlInput'),
+        copyStreamUrl: $('copyStreamUrl'),
+        openStreamUrl: $('openStreamUrl'),
         copyUrl: $('copyUrl'),
         copyListenUrl: $('copyListenUrl'),
         network: $('networkAddresses'),
+        qrCodes: $('shareQrCodes'),
+        audioSource: $('audioSource'),
         startBtn: $('startAudioStream'),
         stopBtn: $('stopAudioStream'),
         status: $('audioStatus'),
@@ -24,14 +29,96 @@
         latency: $('latencyInput'),
         bitrate: $('bitrateInput'),
         tuneBtn: $('applyTuning'),
-        tuneStatus: $('tuneStatus')
+        tuneStatus: $('tuneStatus'),
+        syncMode: $('syncModeInput'),
+        channelName: $('channelName'),
+        joinCode: $('joinCodeInput'),
+        setJoinCode: $('setJoinCode'),
+        recordBtn: $('recordToggle'),
+        recordings: $('recordingsList'),
+        refreshRecordings: $('refreshRecordings'),
+        processingCard: $('processingCard'),
+        mixerCard: $('mixerCard'),
+        pttBtn: $('pushToTalk'),
+        micStatus: $('micStatus'),
+        talkbackToggle: $('talkbackToggle'),
+        talkbackStatus: $('talkbackStatus'),
+        endTalkback: $('endTalkback'),
+        nowPlayingTitle: $('nowPlayingTitle'),
+        nowPlayingArtist: $('nowPlayingArtist'),
+        nowPlayingArtwork: $('nowPlayingArtwork'),
+        applyNowPlaying: $('applyNowPlaying'),
+        nowPlayingFromTab: $('nowPlayingFromTab'),
+        historyLink: $('historyLink'),
+        schedulePrompt: $('schedulePrompt'),
+        schedulePromptText: $('schedulePromptText'),
+        scheduleStartNow: $('scheduleStartNow'),
+        scheduleForm: $('scheduleForm'),
+        scheduleTitle: $('scheduleTitle'),
+        scheduleStart: $('scheduleStart'),
+        scheduleDuration: $('scheduleDuration'),
+        scheduleRepeat: $('scheduleRepeat'),
+        scheduleFiles: $('scheduleFiles'),
+        scheduleList: $('scheduleList'),
+        playlistCard: $('playlistCard'),
+        playlistStatus: $('playlistStatus'),
+        playlistPrev: $('playlistPrev'),
+        playlistPlay: $('playlistPlay'),
+        playlistNext: $('playlistNext'),
+        playlistSeek: $('playlistSeek'),
+        playlistPosition: $('playlistPosition'),
+        playlistDuration: $('playlistDuration'),
+        playlistFiles: $('playlistFiles'),
+        playlistServerFiles: $('playlistServerFiles'),
+        addServerFile: $('addServerFile'),
+        playlistCrossfade: $('playlistCrossfade'),
+        playlistCrossfadeValue: $('playlistCrossfadeValue'),
+        playlistItems: $('playlistItems'),
+        sourcesStatus: $('sourcesStatus'),
+        addMicSource: $('addMicSource'),
+        addTabSource: $('addTabSource'),
+        sourceItems: $('sourceItems')
     };
 
+    // Channel comes from /host/:channel; the bare console URL hosts the default channel
+    const channel = decodeURIComponent(location.pathname.match(/^\/host\/([^/]+)/)?.[1] || 'main');
+
+    // Remote consoles arrive from /login with ?session=<token>; localhost needs none
+    const sessionToken = new URLSearchParams(location.search).get('session') || sessionStorage.getItem('hostSession');
+    if (sessionToken) sessionStorage.setItem('hostSession', sessionToken);
+    const joinCodeKey = `joinCode:${channel}`;
+    const nowPlayingKey = `nowPlaying:${channel}`;
+
     // State
     let socket, mediaStream, audioContext, analyser, processedTrack;
     let isStreaming = false;
+    let rtcConfig = { iceServers: [] };
+    let recorder = null, recordingUploads = Promise.resolve();
+    let feedRecorder = null, feedUploads = Promise.resolve();
+    let shareBaseUrl = location.origin;
+    let tuned = false; // set once the host applies its own tuning, which then wins over server defaults
+    let chain = null; // processing nodes while streaming: { input, eq, compressor, gain, limiter }
+    let systemGain = null, mic = null; // mic: { stream, source, gain, analyser, monitor }
+    let pttHeld = false, voiceActive = false, voiceHeldUntil = 0;
+    let talkback = null; // listener holding the floor: { viewerId, name, el, source }
+    let scheduledRun = null; // scheduled broadcast this console went live for: { scheduleId, title, endsAt }
+    let audioSource = localStorage.getItem('audioSource') === 'playlist' ? 'playlist' : 'system';
     const peers = new Map();
+    const links = new Map(); // viewerId -> per-listener state: { tier, fec, dataSaver, muted, clean, fmtp }
     const pendingViewers = new Set();
+    const ICE_RESTART_DELAY = 2000; // give a 'disconnected' peer a moment to recover on its own
+    const MAX_ICE_RESTARTS = 3;
+    const RECORDING_MIME_TYPES = ['audio/ogg;codecs=opus', 'audio/webm;codecs=opus', 'audio/webm'];
+    const RECORDING_TIMESLICE = 1000; // ms of audio per uploaded chunk
+    const FEED_TIMESLICE = 500; // ms of audio per HTTP stream chunk; players lag by about this much
+
+    // Adaptive bitrate: each listener steps through these tiers (kbps, capped by the tuning bitrate)
+    // based on its own loss/RTT reports. Lossy links also get Opus in-band FEC and DTX.
+    const BITRATE_TIERS = [510, 256, 128, 64, 32];
+    const DATA_SAVER_KBPS = 32;
+    const LOSSY_PCT = 2; // loss above this turns on FEC
+    const STEP_DOWN = { lossPct: 5, rttMs: 300 };
+    const STEP_UP = { lossPct: 1, rttMs: 150, samples: 5 }; // clean reports in a row (~10s) before stepping back up
 
     // Audio Quality Settings - Maximum Quality
     const AUDIO_CONFIG = {
@@ -41,12 +128,12 @@
         // maxaveragebitrate=510000: Maximum Opus bitrate (510kbps)
         // maxplaybackrate=48000: Maximum sample rate
         // cbr=0: Variable bitrate for better quality
-        // useinbandfec=0: Disable forward error correction (adds latency)
-        // usedtx=0: Disable discontinuous transmission (keeps quality constant)
+        // useinbandfec=0: Disable forward error correction (adds latency; turned on per listener for lossy links)
+        // usedtx=0: Disable discontinuous transmission (keeps quality constant; on for lossy and data saver links)
         opusFmtp: 'minptime=10;stereo=1;sprop-stereo=1;maxaveragebitrate=510000;maxplaybackrate=48000;cbr=0;useinbandfec=0;usedtx=0',
 
         // RTP encoding parameters
-        maxBitrate: 510000,  // 510kbps - max for Opus
+        maxBitrate: 510000,  // 510kbps - max for Opus; replaced by the server's configured default on connect
 
         // Display media constraints - highest quality audio capture
         displayMedia: {
@@ -68,6 +155,86 @@
         }
     };
 
+    // Host-side processing chain: input -> EQ -> compressor -> master gain -> limiter -> analyser
+    const EQ_BANDS = [
+        { type: 'lowshelf', frequency: 100 },
+        { type: 'peaking', frequency: 300, Q: 1 },
+        { type: 'peaking', frequency: 1000, Q: 1 },
+        { type: 'peaking', frequency: 3500, Q: 1 },
+        { type: 'highshelf', frequency: 10000 }
+    ];
+
+    const PROCESSING_PRESETS = {
+        flat: { eq: [0, 0, 0, 0, 0], compressor: false, threshold: -24, ratio: 3 },
+        speech: { eq: [-6, -2, 2, 4, 1], compressor: true, threshold: -28, ratio: 4 },
+        music: { eq: [3, 0, -1, 1, 3], compressor: true, threshold: -18, ratio: 2 },
+        night: { eq: [-8, -2, 1, 0, -3], compressor: true, threshold: -40, ratio: 8 }
+    };
+
+    const DEFAULT_PROCESSING = { enabled: false, preset: 'flat', gainDb: 0, limiter: true, ...PROCESSING_PRESETS.flat };
+
+    const loadProcessing = () => {
+        try {
+            const saved = JSON.parse(localStorage.getItem('processing'));
+            return { ...DEFAULT_PROCESSING, ...saved, eq: [...(saved?.eq || DEFAULT_PROCESSING.eq)] };
+        } catch {
+            return { ...DEFAULT_PROCESSING, eq: [...DEFAULT_PROCESSING.eq] };
+        }
+    };
+
+    const processing = loadProcessing();
+
+    // Microphone talk-over: mixed into the chain input next to system audio
+    const DEFAULT_MIXER = {
+        micEnabled: false, systemLevel: 100, micLevel: 100, pushToTalk: false, ducking: true, duckDb: -12,
+        talkback: false, talkbackMix: true
+    };
+    const VOICE_THRESHOLD_DB = -45; // mic RMS level that counts as talking
+    const VOICE_HOLD = 600; // ms to keep ducking after the voice drops below the threshold
+    const MIC_CONSTRAINTS = { echoCancellation: true, noiseSuppression: true, autoGainControl: false, channelCount: 1 };
+
+    const loadMixer = () => {
+        try {
+            return { ...DEFAULT_MIXER, ...JSON.parse(localStorage.getItem('mixer')) };
+        } catch {
+            return { ...DEFAULT_MIXER };
+        }
+    };
+
+    const mixer = loadMixer();
+
+    // Playlist mode: files are decoded in the AudioContext and scheduled on its clock, which makes
+    // back-to-back tracks gapless and lets crossfades overlap them exactly
+    const PLAYLIST_TICK = 250; // ms between checks for track changes and progress updates
+    const PLAYLIST_PRELOAD = 10; // s before a track ends when the next one is decoded and queued
+    const PLAYLIST_RESTART = 3; // s into a track after which "previous" restarts it instead
+    const CUT_FADE = 0.02; // s of fade on skips, seeks and pauses so they don't click
+    const playlist = {
+        items: [], // { id, name, title, artist, file | url, duration, decoding, failed }
+        index: -1, // current track
+        deck: null, // track playing: { item, node, gain, startedAt, startsAt, endsAt } (context time)
+        upcoming: null, // next track, already scheduled to start at the end of (or fading over) deck
+        outgoing: null, // previous track while it fades out under deck
+        pausedAt: null, // position in the current track while paused
+        queueing: false,
+        seeking: false, // the host is dragging the seek bar
+        finished: false, // played to the end while live; adding files carries on
+        announced: null, // item ID last sent as Now Playing
+        generation: 0, // bumped on every skip so a slow decode can't start a stale track
+        timer: null,
+        crossfade: Math.min(Math.max(parseFloat(localStorage.getItem('playlistCrossfade')) || 0, 0), 12)
+    };
+    let nextPlaylistId = 1;
+
+    // Sources: the processed mix is always published as 'main'; extra sources go out as captured,
+    // each on its own transceiver, and listeners subscribe to the ones they want to hear
+    const MAIN_SOURCE = 'main';
+    const MAX_SOURCES = 4;
+    const SOURCE_KINDS = { main: 'Mix', mic: 'Microphone', tab: 'Tab or window' };
+    const sources = [{ id: MAIN_SOURCE, label: localStorage.getItem('mainSourceLabel') || 'Main', kind: 'main', stream: null, track: null }];
+    let sourceListeners = {}; // source ID -> subscribed listeners, from the server's stats
+    let nextSourceId = 1;
+
     // Utilities
     const setStatus = (msg, variant = 'neutral') => {
         if (!dom.status) return;
@@ -96,13 +263,33 @@
 
     // Socket.IO
     const initSocket = () => {
-        socket = io();
+        socket = io({ query: { channel }, auth: { role: 'host', token: sessionToken } });
 
         socket.on('connect', () => {
             if (dom.connection) {
                 dom.connection.textContent = 'Connected';
                 dom.connection.style.color = '#4ade80';
             }
+            socket.emit('register-host', { joinCode: localStorage.getItem(joinCodeKey) });
+            // The server forgets track info when the host drops; restore what we last broadcast
+            const nowPlaying = JSON.parse(localStorage.getItem(nowPlayingKey) || 'null');
+            if (nowPlaying) socket.emit('now-playing', nowPlaying);
+            socket.emit('talkback-settings', { enabled: mixer.talkback });
+            // After a reconnect the server has forgotten our listeners; they rejoin once we announce again
+            if (isStreaming) {
+                peers.forEach(pc => pc.close());
+                peers.clear();
+                publishSources();
+                socket.emit('announce-streaming');
+                stopFeed();
+                startFeed();
+            }
+        });
+
+        socket.on('connect_error', (err) => {
+            if (err.message !== 'unauthorized') return;
+            sessionStorage.removeItem('hostSession');
+            location.href = `/login?channel=${encodeURIComponent(channel)}`;
         });
 
         socket.on('disconnect', () => {
@@ -110,13 +297,94 @@
                 dom.connection.textContent = 'Disconnected';
                 dom.connection.style.color = '#f87171';
             }
+            // The server closes the file when we drop; chunks sent after that would be rejected
+            if (recorder) {
+                stopRecording();
+                notify('Recording interrupted by disconnect', 'error');
+            }
+        });
+
+        // In SFU mode the server is our only peer ('sfu') and fans the track out to listeners
+        socket.on('host-confirmed', ({ relayMode, audio }) => {
+            if (dom.connection && relayMode === 'sfu') dom.connection.textContent = 'Connected · SFU relay';
+            if (audio && !tuned) applyAudioDefaults(audio);
+            if (dom.talkbackToggle && relayMode === 'sfu') {
+                dom.talkbackToggle.disabled = true;
+                dom.talkbackToggle.parentElement.title = 'Talkback is not available in SFU relay mode';
+            }
+        });
+
+        socket.on('volume-request', ({ name, direction }) => {
+            notify(`${name} asks to turn it ${direction === 'up' ? 'up 🔊' : 'down 🔉'}`);
+        });
+
+        socket.on('talkback-update', ({ viewerId, name, state }) => {
+            if (state === 'requested') {
+                notify(`✋ ${name} wants to talk`);
+            } else if (state === 'live') {
+                talkback = { viewerId, name, el: null, source: null };
+                setTalkbackDirection(viewerId, 'sendrecv');
+            } else if (state === 'idle') {
+                stopTalkback(viewerId);
+                setTalkbackDirection(viewerId, 'sendonly');
+            }
+            renderTalkback();
+        });
+
+        // The server says a scheduled broadcast is due. Browsers only allow screen capture after a
+        // click, so if starting on our own fails the host gets a prompt to start it by hand.
+        socket.on('schedule-start', async (run) => {
+            if (isStreaming) return notify(`Scheduled broadcast "${run.title}" is due - already live`);
+            if (run.playout) return notify(`The server is playing "${run.title}" - Start Stream to take over`);
+            scheduledRun = run;
+            await startAudio();
+            if (!isStreaming) showSchedulePrompt(run);
+        });
+
+        // Only a stream the schedule started is stopped; one the host started stays up
+        socket.on('schedule-stop', ({ scheduleId }) => {
+            if (scheduledRun?.scheduleId !== scheduleId) return;
+            if (dom.schedulePrompt) dom.schedulePrompt.hidden = true;
+            if (isStreaming) stopAudio();
+            scheduledRun = null;
+        });
+
+        socket.on('schedule-upcoming', loadSchedules);
+
+        socket.on('recording-started', () => notify('Recording started', 'success'));
+        socket.on('recording-saved', () => {
+            notify('Recording saved', 'success');
+            loadRecordings();
+        });
+
+        socket.on('stats', ({ viewerCount, httpListenerCount, sources: published = [] }) => {
+            if (dom.clients) dom.clients.textContent = `${viewerCount} listening${httpListenerCount ? ` + ${httpListenerCount} HTTP` : ''}`;
+            sourceListeners = Object.fromEntries(published.map(s => [s.id, s.listeners]));
+            renderSourceCounts();
+        });
+
+        // ICE servers (STUN/TURN) come from the server; empty means LAN-only
+        socket.on('ice-config', (config) => {
+            rtcConfig = config;
+            peers.forEach(pc => pc.setConfiguration(config));
+        });
+
+        socket.on('signal-error', ({ event, code, message }) => {
+            console.warn(`Server rejected ${event}: ${code}`);
+            if (code === 'forbidden' || code === 'rate-limited') notify(message, 'error');
         });
 
-        socket.on('stats', ({ viewerCount }) => {
-            if (dom.clients) dom.clients.textContent = `${viewerCount} listening`;
+        socket.on('join-code-updated', ({ codeRequired }) => {
+            notify(codeRequired ? 'Join code set' : 'Join code removed', 'success');
         });
 
-        socket.on('viewer-joined', async ({ viewerId }) => {
+        socket.on('host-replaced', () => {
+            notify(`Another console took over channel "${channel}"`, 'error');
+            if (isStreaming) stopAudio();
+        });
+
+        socket.on('viewer-joined', async ({ viewerId, dataSaver = false, muted = false, sources: subscribed = null }) => {
+            links.set(viewerId, createLink(dataSaver, muted, subscribed));
             if (!processedTrack) {
                 pendingViewers.add(viewerId);
                 return;
@@ -124,6 +392,25 @@
             await createPeerConnection(viewerId);
         });
 
+        socket.on('listener-stats', ({ viewerId, ...sample }) => adaptLink(viewerId, sample));
+
+        socket.on('listener-profile', ({ viewerId, dataSaver, sources: subscribed }) => {
+            const link = links.get(viewerId);
+            if (!link) return;
+            link.dataSaver = dataSaver;
+            link.clean = 0;
+            if (subscribed) link.sources = subscribed;
+            applyTracks(viewerId);
+            applyLink(viewerId);
+        });
+
+        // Muting a listener pauses our senders for them; the connection stays up so unmuting is instant
+        socket.on('viewer-muted', ({ viewerId, muted }) => {
+            const link = links.get(viewerId);
+            if (link) link.muted = muted;
+            applyTracks(viewerId);
+        });
+
         socket.on('webrtc-answer', async ({ sdp, viewerId }) => {
             const pc = peers.get(viewerId);
             if (pc) {
@@ -147,17 +434,39 @@
         });
 
         socket.on('viewer-left', ({ viewerId }) => {
+            links.delete(viewerId);
+            stopTalkback(viewerId);
             const pc = peers.get(viewerId);
             if (pc) {
                 pc.close();
                 peers.delete(viewerId);
             }
         });
-
-        socket.emit('register-host');
     };
 
     // Network Info
+    // One QR code per way of reaching this machine: the mDNS name first, then each LAN address
+    const renderShareQrCodes = (data) => {
+        if (!dom.qrCodes) return;
+        const targets = [
+            ...(data.mdns ? [{ label: data.mdns.name, url: data.mdns.url }] : []),
+            ...data.addresses.map(a => ({ label: a.interface, url: a.url }))
+        ];
+        if (!targets.length) {
+            dom.qrCodes.innerHTML = '<div class="network-address">No network address - listeners can only connect from this machine</div>';
+            return;
+        }
+        dom.qrCodes.innerHTML = targets.map(({ label, url }) => {
+            const listenUrl = `${url}/listen/${encodeURIComponent(channel)}`;
+            return `
+                <figure class="qr-code">
+                    <img src="/qr.svg?text=${encodeURIComponent(listenUrl)}" alt="QR code for ${listenUrl}" width="160" height="160">
+                    <figcaption><strong>${label}</strong><span>${listenUrl}</span></figcaption>
+                </figure>
+            `;
+        }).join('');
+    };
+
     const loadNetworkInfo = async () => {
         try {
             const res = await fetch('/network-info');
@@ -167,25 +476,644 @@
             data.addresses.forEach(a => {
                 html.push(`<div class="network-address"><strong>${a.interface}:</strong> ${a.url}</div>`);
             });
+            if (data.mdns) {
+                html.push(`<div class="network-address"><strong>mDNS:</strong> ${data.mdns.url}</div>`);
+            }
+            if (data.trustUrl) {
+                html.push(`<div class="network-address"><strong>Certificate:</strong> ${data.trustUrl} (open once on each phone)</div>`);
+            }
             if (dom.network) dom.network.innerHTML = html.join('');
 
             const shareUrl = data.addresses[0]?.url || data.localUrl;
-            if (dom.shareUrl) dom.shareUrl.value = shareUrl;
-            if (dom.listenUrl) dom.listenUrl.value = `${shareUrl}/listen`;
+            shareBaseUrl = shareUrl;
+            if (dom.shareUrl) dom.shareUrl.value = `${shareUrl}/host/${encodeURIComponent(channel)}`;
+            if (dom.listenUrl) dom.listenUrl.value = `${shareUrl}/listen/${encodeURIComponent(channel)}`;
+            renderShareQrCodes(data);
+            updateStreamUrl();
         } catch {
             if (dom.network) dom.network.innerHTML = '<div class="network-address">Failed to load network info</div>';
         }
     };
 
+    // Recordings - MediaRecorder chunks are uploaded over the socket and written to disk by the server
+    const startRecording = () => {
+        if (!processedTrack || recorder) return;
+        const mimeType = RECORDING_MIME_TYPES.find(t => window.MediaRecorder?.isTypeSupported(t));
+        if (!mimeType) return notify('Recording is not supported in this browser', 'error');
+
+        recorder = new MediaRecorder(new MediaStream([processedTrack]), { mimeType, audioBitsPerSecond: 256000 });
+        // Chain uploads so chunks (and the final stop) reach the server in order
+        recorder.ondataavailable = (e) => {
+            if (!e.data.size) return;
+            recordingUploads = recordingUploads.then(async () => {
+                socket.emit('recording-chunk', { data: await e.data.arrayBuffer() });
+            });
+        };
+        recorder.onstop = () => {
+            recordingUploads = recordingUploads.then(() => socket.emit('recording-stop'));
+        };
+
+        recordingUploads = recordingUploads.then(() => socket.emit('recording-start', { mimeType }));
+        recorder.start(RECORDING_TIMESLICE);
+        updateRecordButton();
+    };
+
+    const stopRecording = () => {
+        if (!recorder) return;
+        if (recorder.state !== 'inactive') recorder.stop();
+        recorder = null;
+        updateRecordButton();
+    };
+
+    // HTTP stream - a second, always-on recorder feeds /stream/:channel for players without WebRTC
+    const feedMimeType = () => RECORDING_MIME_TYPES.find(t => window.MediaRecorder?.isTypeSupported(t));
+
+    const updateStreamUrl = () => {
+        const mimeType = feedMimeType();
+        const ext = mimeType?.startsWith('audio/ogg') ? 'ogg' : 'webm';
+        const joinCode = localStorage.getItem(joinCodeKey);
+        const url = `${shareBaseUrl}/stream/${encodeURIComponent(channel)}.${ext}${joinCode ? `?code=${encodeURIComponent(joinCode)}` : ''}`;
+        if (dom.streamUrl) dom.streamUrl.value = mimeType ? url : 'Not supported in this browser';
+        if (dom.openStreamUrl) {
+            dom.openStreamUrl.href = url;
+            dom.openStreamUrl.hidden = !mimeType;
+        }
+    };
+
+    const startFeed = () => {
+        const mimeType = feedMimeType();
+        if (!processedTrack || feedRecorder || !mimeType) return;
+
+        feedRecorder = new MediaRecorder(new MediaStream([processedTrack]), { mimeType, audioBitsPerSecond: 128000 });
+        feedRecorder.ondataavailable = (e) => {
+            if (!e.data.size) return;
+            feedUploads = feedUploads.then(async () => {
+                socket.emit('feed-chunk', { data: await e.data.arrayBuffer() });
+            });
+        };
+        feedRecorder.onstop = () => {
+            feedUploads = feedUploads.then(() => socket.emit('feed-stop'));
+        };
+
+        feedUploads = feedUploads.then(() => socket.emit('feed-start', { mimeType }));
+        feedRecorder.start(FEED_TIMESLICE);
+    };
+
+    const stopFeed = () => {
+        if (!feedRecorder) return;
+        if (feedRecorder.state !== 'inactive') feedRecorder.stop();
+        feedRecorder = null;
+    };
+
+    const updateRecordButton = () => {
+        if (!dom.recordBtn) return;
+        dom.recordBtn.hidden = !isStreaming;
+        dom.recordBtn.textContent = recorder ? 'Stop Recording' : 'Record';
+        dom.recordBtn.className = `btn ${recorder ? 'btn-danger' : 'btn-secondary'}`;
+    };
+
+    const formatDuration = (ms) => {
+        const total = Math.round(ms / 1000);
+        const h = Math.floor(total / 3600), m = Math.floor(total / 60) % 60, sec = total % 60;
+        return `${h ? `${h}:` : ''}${String(m).padStart(h ? 2 : 1, '0')}:${String(sec).padStart(2, '0')}`;
+    };
+
+    const hostHeaders = () => (sessionToken ? { 'x-session-id': sessionToken } : {});
+
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+    const loadRecordings = async () => {
+        if (!dom.recordings) return;
+        try {
+            const res = await fetch('/recordings', { headers: hostHeaders() });
+            const { recordings = [] } = await res.json();
+            const query = sessionToken ? `?session=${encodeURIComponent(sessionToken)}` : '';
+            dom.recordings.innerHTML = recordings.length
+                ? recordings.map(r => `
+                    <div class="network-address">
+                        <span><strong>#${r.channel}</strong> ${new Date(r.startedAt).toLocaleString()} · ${formatDuration(r.durationMs)} · ${(r.size / 1048576).toFixed(1)} MB${r.inProgress ? ' · recording…' : ''}</span>
+                        <span class="controls">
+                            <a class="btn btn-secondary" href="/recordings/${encodeURIComponent(r.id)}${query}" download>Download</a>
+                            <button class="btn btn-danger" data-delete="${r.id}" ${r.inProgress ? 'disabled' : ''}>Delete</button>
+                        </span>
+                    </div>`).join('')
+                : '<div class="viewer-empty">No recordings yet</div>';
+        } catch {
+            dom.recordings.innerHTML = '<div class="viewer-empty">Failed to load recordings</div>';
+        }
+    };
+
+    const deleteRecording = async (id) => {
+        if (!confirm('Delete this recording?')) return;
+        const res = await fetch(`/recordings/${encodeURIComponent(id)}`, { method: 'DELETE', headers: hostHeaders() });
+        notify(res.ok ? 'Recording deleted' : 'Failed to delete recording', res.ok ? 'success' : 'error');
+        loadRecordings();
+    };
+
+    // Schedule - created and cancelled over REST; the server keeps time and signals this console
+    const REPEAT_LABELS = { once: 'Once', daily: 'Daily', weekdays: 'Weekdays', weekly: 'Weekly' };
+
+    const describeSchedule = ({ startAt, repeat }) => {
+        const start = new Date(startAt);
+        const time = start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        if (repeat === 'once') return start.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+        if (repeat === 'weekly') return `Every ${start.toLocaleDateString([], { weekday: 'long' })} ${time}`;
+        return `${REPEAT_LABELS[repeat]} ${time}`;
+    };
+
+    const loadSchedules = async () => {
+        if (!dom.scheduleList) return;
+        try {
+            const res = await fetch(`/schedules?channel=${encodeURIComponent(channel)}`, { headers: hostHeaders() });
+            const { schedules = [] } = await res.json();
+            dom.scheduleList.innerHTML = schedules.length
+                ? schedules.map(s => `
+                    <div class="network-address">
+                        <span><strong>${escapeHtml(s.title)}</strong> ${describeSchedule(s)} · ${s.durationMin} min${s.files.length ? ` · ${s.files.length} file${s.files.length === 1 ? '' : 's'}` : ''}${s.onAir ? ' · on air' : s.nextStartsAt && s.repeat !== 'once' ? ` · next ${new Date(s.nextStartsAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}` : ''}</span>
+                        <button class="btn btn-danger" data-cancel="${escapeHtml(s.id)}">Cancel</button>
+                    </div>`).join('')
+                : '<div class="viewer-empty">Nothing scheduled</div>';
+        } catch {
+            dom.scheduleList.innerHTML = '<div class="viewer-empty">Failed to load schedules</div>';
+        }
+    };
+
+    // Schedules can only use files the server plays itself (Ogg Opus); playlists take anything the browser decodes
+    const loadMedia = async () => {
+        try {
+            const res = await fetch('/media', { headers: hostHeaders() });
+            const { files = [] } = await res.json();
+            const options = list => list.map(f => `<option value="${escapeHtml(f.name)}">${escapeHtml(f.name)}</option>`).join('');
+            const playout = files.filter(f => f.playout);
+            if (dom.scheduleFiles) {
+                dom.scheduleFiles.innerHTML = options(playout);
+                dom.scheduleFiles.disabled = !playout.length;
+                dom.scheduleFiles.title = playout.length ? 'Ogg Opus files in the server\'s media folder' : 'No .opus or .ogg files in the server\'s media folder';
+            }
+            if (dom.playlistServerFiles) {
+                dom.playlistServerFiles.innerHTML = files.length ? options(files) : '<option value="">No audio files on the server</option>';
+                dom.playlistServerFiles.disabled = !files.length;
+                if (dom.addServerFile) dom.addServerFile.disabled = !files.length;
+            }
+        } catch { }
+    };
+
+    const createSchedule = async (e) => {
+        e.preventDefault();
+        const body = {
+            channel,
+            title: dom.scheduleTitle.value.trim(),
+            startAt: new Date(dom.scheduleStart.value).toISOString(),
+            durationMin: parseInt(dom.scheduleDuration.value, 10),
+            repeat: dom.scheduleRepeat.value,
+            files: [...dom.scheduleFiles.selectedOptions].map(o => o.value)
+        };
+        const res = await fetch('/schedules', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...hostHeaders() },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) return notify(data.error || 'Failed to schedule broadcast', 'error');
+        notify(`Scheduled "${data.title}"`, 'success');
+        dom.scheduleTitle.value = '';
+        loadSchedules();
+    };
+
+    const cancelSchedule = async (id) => {
+        if (!confirm('Cancel this scheduled broadcast?')) return;
+        const res = await fetch(`/schedules/${encodeURIComponent(id)}`, { method: 'DELETE', headers: hostHeaders() });
+        notify(res.ok ? 'Schedule cancelled' : 'Failed to cancel schedule', res.ok ? 'success' : 'error');
+        loadSchedules();
+    };
+
+    // datetime-local wants local time without a zone; default to the next full hour
+    const defaultScheduleStart = () => {
+        const next = new Date();
+        next.setHours(next.getHours() + 1, 0, 0, 0);
+        const pad = n => String(n).padStart(2, '0');
+        return `${next.getFullYear()}-${pad(next.getMonth() + 1)}-${pad(next.getDate())}T${pad(next.getHours())}:00`;
+    };
+
+    const showSchedulePrompt = ({ title, endsAt }) => {
+        if (!dom.schedulePrompt) return;
+        const until = new Date(endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        dom.schedulePromptText.textContent = `⏰ "${title}" is scheduled now, until ${until}`;
+        dom.schedulePrompt.hidden = false;
+        notify(`Scheduled broadcast "${title}" is due`);
+    };
+
+    const startScheduledNow = async () => {
+        await startAudio();
+        if (isStreaming && dom.schedulePrompt) dom.schedulePrompt.hidden = true;
+    };
+
+    const applyJoinCode = () => {
+        const joinCode = dom.joinCode.value.trim();
+        if (joinCode) localStorage.setItem(joinCodeKey, joinCode);
+        else localStorage.removeItem(joinCodeKey);
+        socket.emit('set-join-code', { joinCode });
+        updateStreamUrl();
+    };
+
+    // Now Playing
+    const readNowPlaying = () => ({
+        title: dom.nowPlayingTitle.value.trim(),
+        artist: dom.nowPlayingArtist.value.trim(),
+        artwork: dom.nowPlayingArtwork.value.trim()
+    });
+
+    const renderNowPlaying = (info) => {
+        dom.nowPlayingTitle.value = info?.title || '';
+        dom.nowPlayingArtist.value = info?.artist || '';
+        dom.nowPlayingArtwork.value = info?.artwork || '';
+    };
+
+    const publishNowPlaying = (info) => {
+        localStorage.setItem(nowPlayingKey, JSON.stringify(info));
+        socket.emit('now-playing', info);
+    };
+
+    const broadcastNowPlaying = () => {
+        const info = readNowPlaying();
+        if (info.artwork && !/^https?:\/\//i.test(info.artwork)) return notify('Artwork must be an http(s) URL', 'error');
+        publishNowPlaying(info);
+        notify(info.title || info.artist ? 'Now playing updated' : 'Now playing cleared', 'success');
+    };
+
+    // Tab titles usually look like "(3) Artist - Title - YouTube"; drop the unread count and site name, then split once
+    const parseTabTitle = (label) => {
+        const cleaned = label
+            .replace(/^\(\d+\)\s*/, '')
+            .replace(/\s+[-–|]\s+(YouTube Music|YouTube|Spotify|SoundCloud|Deezer|Apple Music|Twitch)$/i, '')
+            .trim();
+        const [artist, ...rest] = cleaned.split(' - ');
+        return rest.length
+            ? { title: rest.join(' - ').slice(0, 200), artist: artist.slice(0, 200) }
+            : { title: cleaned.slice(0, 200), artist: '' };
+    };
+
+    // Screens and windows have device-style labels; only a shared tab carries its title
+    const sharedTabTitle = () => {
+        const label = mediaStream?.getVideoTracks()[0]?.label || '';
+        return !label || /^(screen|window):|:\/\//.test(label) ? null : label;
+    };
+
+    const useTabTitle = () => {
+        const label = sharedTabTitle();
+        if (!label) return notify('Share a browser tab to pick up its title', 'error');
+        renderNowPlaying({ ...readNowPlaying(), ...parseTabTitle(label) });
+        broadcastNowPlaying();
+    };
+
+    // Playlist
+    const isPlaylistLive = () => isStreaming && audioSource === 'playlist';
+
+    const formatTrackTime = (seconds) => formatDuration((Number(seconds) || 0) * 1000);
+
+    // "01 - Artist - Title.mp3" reads like a tab title once the extension and track number are gone
+    const trackInfo = (name) => parseTabTitle(name.replace(/\.[^.]+$/, '').replace(/^\d{1,3}\s*[-._)]\s*/, ''));
+
+    const setAudioSource = (value) => {
+        audioSource = value === 'playlist' ? 'playlist' : 'system';
+        localStorage.setItem('audioSource', audioSource);
+        if (dom.audioSource) dom.audioSource.value = audioSource;
+        if (dom.playlistCard) dom.playlistCard.hidden = audioSource !== 'playlist';
+    };
+
+    // Decoded audio takes about 23 MB per stereo minute, so only the playing and queued tracks keep it
+    const decodeTrack = (item) => {
+        if (!item.decoding) {
+            const context = audioContext;
+            item.failed = false;
+            item.decoding = (async () => {
+                const data = item.file
+                    ? await item.file.arrayBuffer()
+                    : await fetch(item.url, { headers: hostHeaders() }).then(res => {
+                        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                        return res.arrayBuffer();
+                    });
+                const buffer = await context.decodeAudioData(data);
+                item.duration = buffer.duration;
+                return buffer;
+            })();
+            item.decoding.catch(() => {
+                item.decoding = null;
+                if (context !== audioContext) return; // the stream stopped meanwhile
+                item.failed = true;
+                renderPlaylist();
+            });
+        }
+        return item.decoding;
+    };
+
+    const releaseDecoded = () => playlist.items.forEach(item => {
+        if (item !== playlist.deck?.item && item !== playlist.upcoming?.item) item.decoding = null;
+    });
+
+    // The track after `index` that hasn't failed to decode, or -1
+    const nextTrack = (index) => playlist.items.findIndex((item, i) => i > index && !item.failed);
+
+    // Each track gets its own source and gain into the system fader, so mic ducking applies to it
+    const startDeck = (item, buffer, when, offset = 0, fadeIn = 0) => {
+        const node = audioContext.createBufferSource();
+        const gain = audioContext.createGain();
+        node.buffer = buffer;
+        node.connect(gain);
+        gain.connect(systemGain);
+        node.onended = () => gain.disconnect();
+        if (fadeIn) {
+            gain.gain.setValueAtTime(0, when);
+            gain.gain.linearRampToValueAtTime(1, when + fadeIn);
+        }
+        node.start(when, offset);
+        return { item, node, gain, startedAt: when, startsAt: when - offset, endsAt: when - offset + buffer.duration };
+    };
+
+    const stopDeck = (deck) => {
+        if (!deck || !audioContext) return;
+        const now = audioContext.currentTime;
+        deck.gain.gain.cancelScheduledValues(now);
+        deck.gain.gain.setTargetAtTime(0, now, CUT_FADE / 3);
+        deck.node.stop(now + CUT_FADE * 2);
+    };
+
+    // Stop everything that is playing or queued; a decode still in flight won't start afterwards
+    const silencePlaylist = () => {
+        playlist.generation++;
+        [playlist.deck, playlist.upcoming, playlist.outgoing].forEach(stopDeck);
+        playlist.deck = playlist.upcoming = playlist.outgoing = null;
+    };
+
+    const trackPosition = () => {
+        const { deck } = playlist;
+        if (!deck || !audioContext) return playlist.pausedAt ?? 0;
+        return Math.min(Math.max(audioContext.currentTime - deck.startsAt, 0), deck.endsAt - deck.startsAt);
+    };
+
+    // Listeners see each track as Now Playing, taken from its file name
+    const trackStarted = () => {
+        const { item } = playlist.deck;
+        releaseDecoded();
+        if (playlist.announced !== item.id) {
+            playlist.announced = item.id;
+            const info = { title: item.title, artist: item.artist, artwork: '' };
+            renderNowPlaying(info);
+            publishNowPlaying(info);
+        }
+        renderPlaylist();
+    };
+
+    const finishPlaylist = () => {
+        playlist.deck = null;
+        playlist.index = -1;
+        playlist.finished = true;
+        notify('Playlist finished - add more files to keep going');
+        renderPlaylist();
+    };
+
+    const playTrack = async (index, offset = 0) => {
+        const item = playlist.items[index];
+        if (!item || !audioContext) return;
+        silencePlaylist();
+        const generation = playlist.generation;
+        playlist.index = index;
+        playlist.pausedAt = null;
+        playlist.finished = false;
+        renderPlaylist();
+
+        let buffer;
+        try {
+            buffer = await decodeTrack(item);
+        } catch (e) {
+            if (generation !== playlist.generation) return;
+            notify(`Can't play ${item.name}: ${e.message}`, 'error');
+            const next = nextTrack(index);
+            return next >= 0 ? playTrack(next) : finishPlaylist();
+        }
+        if (generation !== playlist.generation || !audioContext) return;
+        playlist.deck = startDeck(item, buffer, audioContext.currentTime, Math.min(offset, buffer.duration), offset ? CUT_FADE : 0);
+        trackStarted();
+    };
+
+    // Decode the next track ahead of time and schedule it on the context clock: exactly at the end
+    // of the current one (gapless), or that far early with both ramped (crossfade)
+    const queueNext = async () => {
+        const { deck } = playlist;
+        const item = playlist.items[nextTrack(playlist.index)];
+        if (!item) return;
+        playlist.queueing = true;
+        let buffer;
+        try {
+            buffer = await decodeTrack(item);
+        } catch {
+            if (playlist.deck === deck) notify(`Skipping ${item.name}: it can't be decoded`, 'error');
+            return; // marked as failed, so the next tick queues the track after it
+        } finally {
+            playlist.queueing = false;
+        }
+        if (playlist.deck !== deck || playlist.upcoming || !audioContext) return;
+        if (playlist.items[nextTrack(playlist.index)] !== item) return; // the queue changed while decoding
+
+        const fade = Math.min(playlist.crossfade, (deck.endsAt - deck.startedAt) / 2, buffer.duration / 2);
+        const when = Math.max(deck.endsAt - fade, audioContext.currentTime);
+        if (fade) {
+            deck.gain.gain.setValueAtTime(1, when);
+            deck.gain.gain.linearRampToValueAtTime(0, deck.endsAt);
+        }
+        playlist.upcoming = startDeck(item, buffer, when, 0, fade);
+    };
+
+    // After queue edits or a new crossfade the queued track may be wrong: drop it and undo the fade-out
+    const requeue = () => {
+        const { deck, upcoming } = playlist;
+        if (!upcoming) return;
+        stopDeck(upcoming);
+        playlist.upcoming = null;
+        if (deck && audioContext) {
+            deck.gain.gain.cancelScheduledValues(audioContext.currentTime);
+            deck.gain.gain.setTargetAtTime(1, audioContext.currentTime, CUT_FADE / 3);
+        }
+    };
+
+    const playlistTick = () => {
+        const { deck, upcoming } = playlist;
+        if (deck && audioContext) {
+            const now = audioContext.currentTime;
+            if (upcoming && now >= upcoming.startedAt) {
+                // The queued track has started (or started fading in): it is the current one now
+                playlist.outgoing = deck;
+                playlist.deck = upcoming;
+                playlist.upcoming = null;
+                playlist.index = playlist.items.indexOf(upcoming.item);
+                trackStarted();
+            } else if (!upcoming && now >= deck.endsAt) {
+                // Nothing was queued in time (slow decode, or the end of the list)
+                playlist.deck = null;
+                const next = nextTrack(playlist.index);
+                if (next >= 0) playTrack(next);
+                else finishPlaylist();
+            } else if (!upcoming && !playlist.queueing && deck.endsAt - now <= PLAYLIST_PRELOAD + playlist.crossfade) {
+                queueNext();
+            }
+        }
+        renderProgress();
+    };
+
+    const startPlaylist = () => {
+        playlist.items.forEach(item => { item.failed = false; });
+        playlist.timer = setInterval(playlistTick, PLAYLIST_TICK);
+        const index = playlist.items[playlist.index] ? playlist.index : nextTrack(-1);
+        playTrack(index, playlist.pausedAt ?? 0);
+    };
+
+    // Stopping the stream keeps the place, so the next Start Stream carries on from there
+    const stopPlaylist = () => {
+        clearInterval(playlist.timer);
+        playlist.timer = null;
+        if (playlist.deck) playlist.pausedAt = trackPosition();
+        silencePlaylist();
+        playlist.items.forEach(item => { item.decoding = null; });
+        playlist.announced = null;
+        playlist.finished = false;
+        renderPlaylist();
+    };
+
+    // Skips, seeks and clicks on a track: play from there while live, otherwise start there later
+    const cueTrack = (index, offset = 0) => {
+        if (!playlist.items[index]) return;
+        if (isPlaylistLive() && playlist.pausedAt == null) return playTrack(index, offset);
+        playlist.index = index;
+        playlist.pausedAt = offset;
+        renderPlaylist();
+    };
+
+    const togglePlaylistPause = () => {
+        if (!isPlaylistLive()) return;
+        if (playlist.deck) {
+            const position = trackPosition();
+            silencePlaylist();
+            playlist.pausedAt = position;
+            renderPlaylist();
+        } else {
+            const index = playlist.items[playlist.index] ? playlist.index : nextTrack(-1);
+            playTrack(index, playlist.pausedAt ?? 0);
+        }
+    };
+
+    const previousTrack = () => {
+        const previous = playlist.items.findLastIndex((item, i) => i < playlist.index && !item.failed);
+        if (trackPosition() > PLAYLIST_RESTART || previous < 0) cueTrack(Math.max(playlist.index, 0));
+        else cueTrack(previous);
+    };
+
+    const skipTrack = () => {
+        const next = nextTrack(playlist.index);
+        if (next >= 0) return cueTrack(next);
+        if (playlist.deck) {
+            silencePlaylist();
+            finishPlaylist();
+        }
+    };
+
+    const addToPlaylist = (entries) => {
+        const first = playlist.items.length;
+        entries.forEach(entry => playlist.items.push({
+            id: nextPlaylistId++, ...trackInfo(entry.name), duration: null, decoding: null, failed: false, ...entry
+        }));
+        // A live playlist that ran out carries on with the new files
+        if (playlist.finished && isPlaylistLive()) playTrack(first);
+        else renderPlaylist();
+    };
+
+    const moveTrack = (index, step) => {
+        const to = index + step;
+        if (to < 0 || to >= playlist.items.length) return;
+        const current = playlist.items[playlist.index];
+        const [item] = playlist.items.splice(index, 1);
+        playlist.items.splice(to, 0, item);
+        playlist.index = playlist.items.indexOf(current);
+        requeue();
+        renderPlaylist();
+    };
+
+    const removeTrack = (index) => {
+        requeue();
+        playlist.items.splice(index, 1);
+        if (index < playlist.index) {
+            playlist.index--;
+        } else if (index === playlist.index) {
+            // The track that moved up into its place plays instead
+            const wasPlaying = !!playlist.deck;
+            silencePlaylist();
+            playlist.pausedAt = null;
+            if (!playlist.items[index]) playlist.index = -1;
+            if (wasPlaying) return playlist.items[index] ? playTrack(index) : finishPlaylist();
+        }
+        renderPlaylist();
+    };
+
+    const setCrossfade = () => {
+        playlist.crossfade = parseFloat(dom.playlistCrossfade.value) || 0;
+        localStorage.setItem('playlistCrossfade', playlist.crossfade);
+        if (dom.playlistCrossfadeValue) dom.playlistCrossfadeValue.textContent = playlist.crossfade;
+        requeue();
+    };
+
+    const renderProgress = () => {
+        if (!dom.playlistSeek) return;
+        const duration = playlist.items[playlist.index]?.duration || 0;
+        const position = playlist.seeking ? parseFloat(dom.playlistSeek.value) : trackPosition();
+        dom.playlistSeek.max = duration;
+        dom.playlistSeek.disabled = !duration;
+        if (!playlist.seeking) dom.playlistSeek.value = position;
+        if (dom.playlistPosition) dom.playlistPosition.textContent = formatTrackTime(position);
+        if (dom.playlistDuration) dom.playlistDuration.textContent = formatTrackTime(duration);
+    };
+
+    const renderPlaylist = () => {
+        if (!dom.playlistItems) return;
+        const { items } = playlist;
+        dom.playlistItems.innerHTML = items.length
+            ? items.map((item, i) => `
+                <div class="network-address playlist-item${i === playlist.index ? ' current' : ''}${item.failed ? ' failed' : ''}" data-index="${i}">
+                    <span>${i + 1}. <strong>${escapeHtml(item.title)}</strong>${item.artist ? ` · ${escapeHtml(item.artist)}` : ''}${item.duration ? ` · ${formatTrackTime(item.duration)}` : ''}${item.url ? ' · server' : ''}</span>
+                    <span class="controls">
+                        <button class="btn btn-secondary" data-move="-1" title="Move up" ${i ? '' : 'disabled'}>▲</button>
+                        <button class="btn btn-secondary" data-move="1" title="Move down" ${i < items.length - 1 ? '' : 'disabled'}>▼</button>
+                        <button class="btn btn-danger" data-remove title="Remove">✕</button>
+                    </span>
+                </div>`).join('')
+            : '<div class="viewer-empty">Add audio files to stream them without sharing your screen</div>';
+
+        const live = isPlaylistLive();
+        if (dom.playlistStatus) {
+            dom.playlistStatus.textContent = !items.length ? 'Empty'
+                : live && playlist.deck ? `Playing ${playlist.index + 1}/${items.length}`
+                    : live && playlist.pausedAt != null ? 'Paused'
+                        : `${items.length} track${items.length === 1 ? '' : 's'}`;
+            dom.playlistStatus.className = `pill pill--${live && playlist.deck ? 'accent' : 'neutral'}`;
+        }
+        if (dom.playlistPlay) {
+            dom.playlistPlay.disabled = !live;
+            dom.playlistPlay.textContent = playlist.deck ? 'Pause' : 'Play';
+        }
+        renderProgress();
+    };
+
     // Start Audio Stream
     const startAudio = async () => {
+        if (audioSource === 'playlist' && !playlist.items.length) return notify('Add files to the playlist first', 'error');
         try {
-            // Get display media with audio
-            mediaStream = await navigator.mediaDevices.getDisplayMedia(AUDIO_CONFIG.displayMedia);
-
-            const audioTracks = mediaStream.getAudioTracks();
-            if (!audioTracks.length) {
-                throw new Error('No audio track - make sure to check "Share audio" when selecting screen');
+            // Get display media with audio; playlist mode needs no capture at all
+            let audioTracks = [];
+            if (audioSource === 'system') {
+                mediaStream = await navigator.mediaDevices.getDisplayMedia(AUDIO_CONFIG.displayMedia);
+
+                audioTracks = mediaStream.getAudioTracks();
+                if (!audioTracks.length) {
+                    throw new Error('No audio track - make sure to check "Share audio" when selecting screen');
+                }
             }
 
             // Create audio context for visualization
@@ -194,22 +1122,40 @@
                 latencyHint: 'playback'
             });
 
+            // Without a click (a scheduled start) browsers keep a new context suspended, and the
+            // playlist would stream silence; screen capture already needed the click
+            if (audioContext.state === 'suspended') {
+                await Promise.race([audioContext.resume(), new Promise(resolve => setTimeout(resolve, 500))]);
+            }
+            if (audioContext.state !== 'running') {
+                audioContext.close();
+                audioContext = null;
+                throw new DOMException('Audio playback needs a click', 'NotAllowedError');
+            }
+
             // Set up audio processing chain
-            const source = audioContext.createMediaStreamSource(new MediaStream([audioTracks[0]]));
             analyser = audioContext.createAnalyser();
             analyser.fftSize = 256;
 
             // Create destination for processed audio
             const destination = audioContext.createMediaStreamDestination();
 
-            // Connect: source -> analyser -> destination (no EQ, preserve original)
-            source.connect(analyser);
+            // Connect: source (capture or playlist) -> system fader -> processing chain -> analyser -> destination
+            buildChain();
+            systemGain = audioContext.createGain();
+            if (audioTracks.length) audioContext.createMediaStreamSource(new MediaStream([audioTracks[0]])).connect(systemGain);
+            systemGain.connect(chain.input);
             analyser.connect(destination);
 
+            if (mixer.micEnabled) {
+                await enableMic().catch(e => notify(`Microphone unavailable: ${e.message}`, 'error'));
+            }
+            updateMix();
+
             processedTrack = destination.stream.getAudioTracks()[0];
 
             // Minimize video overhead
-            mediaStream.getVideoTracks().forEach(v => {
+            mediaStream?.getVideoTracks().forEach(v => {
                 try {
                     v.applyConstraints({ frameRate: { max: 1 } });
                 } catch { }
@@ -217,8 +1163,8 @@
 
             // Handle track end
             const onTrackEnd = () => stopAudio();
-            audioTracks[0].onended = onTrackEnd;
-            mediaStream.getVideoTracks().forEach(v => v.onended = onTrackEnd);
+            if (audioTracks.length) audioTracks[0].onended = onTrackEnd;
+            mediaStream?.getVideoTracks().forEach(v => v.onended = onTrackEnd);
 
             // Connect pending viewers
             for (const viewerId of pendingViewers) {
@@ -230,17 +1176,25 @@
             isStreaming = true;
             if (dom.startBtn) dom.startBtn.hidden = true;
             if (dom.stopBtn) dom.stopBtn.hidden = false;
+            if (dom.audioSource) dom.audioSource.disabled = true;
             setStatus('LIVE', 'accent');
             dom.visualizer?.classList.add('is-active');
+            updateRecordButton();
 
             visualize();
-            notify('Streaming at maximum quality (510kbps stereo)', 'success');
+            notify(`Streaming at up to ${AUDIO_CONFIG.maxBitrate / 1000}kbps stereo`, 'success');
+            publishSources();
+            renderSources();
             socket.emit('announce-streaming');
+            startFeed();
+            if (audioSource === 'playlist') startPlaylist();
+            else if (!readNowPlaying().title && sharedTabTitle()) useTabTitle();
 
         } catch (e) {
             console.error('Start audio failed:', e);
             let msg = 'Failed to start streaming';
-            if (e.name === 'NotAllowedError') msg = 'Screen sharing was denied';
+            if (audioSource === 'system' && !window.isSecureContext) msg = 'Screen capture needs HTTPS - start the server with --https and open /trust on this device';
+            else if (e.name === 'NotAllowedError') msg = audioSource === 'playlist' ? 'Click Start Stream to start the playlist' : 'Screen sharing was denied';
             else if (e.message.includes('No audio')) msg = e.message;
             notify(msg, 'error');
         }
@@ -248,6 +1202,14 @@
 
     // Stop Audio Stream
     const stopAudio = () => {
+        stopRecording();
+        stopFeed();
+        disableMic();
+        stopTalkback();
+        stopPlaylist();
+        clearSources();
+        systemGain = null;
+
         if (mediaStream) {
             mediaStream.getTracks().forEach(t => t.stop());
             mediaStream = null;
@@ -257,24 +1219,402 @@
             audioContext.close();
             audioContext = null;
         }
+        chain = null;
 
         processedTrack = null;
         isStreaming = false;
+        scheduledRun = null; // a manual restart later in the slot is the host's to stop
+        renderPlaylist();
+        renderSources();
 
         peers.forEach(pc => pc.close());
         peers.clear();
+        links.clear();
         pendingViewers.clear();
 
         if (dom.startBtn) dom.startBtn.hidden = false;
         if (dom.stopBtn) dom.stopBtn.hidden = true;
+        if (dom.audioSource) dom.audioSource.disabled = false;
         if (dom.levelBar) dom.levelBar.style.width = '0%';
         dom.visualizer?.classList.remove('is-active');
         setStatus('OFFLINE', 'neutral');
+        updateRecordButton();
 
         socket.emit('host-stopped-streaming');
         notify('Stream stopped');
     };
 
+    // Processing Chain
+    const dbToGain = db => Math.pow(10, db / 20);
+
+    const buildChain = () => {
+        const input = audioContext.createGain();
+        const eq = EQ_BANDS.map(({ type, frequency, Q }) => {
+            const filter = audioContext.createBiquadFilter();
+            filter.type = type;
+            filter.frequency.value = frequency;
+            if (Q) filter.Q.value = Q;
+            return filter;
+        });
+
+        const compressor = audioContext.createDynamicsCompressor();
+        compressor.knee.value = 6;
+        compressor.attack.value = 0.01;
+        compressor.release.value = 0.25;
+
+        const gain = audioContext.createGain();
+
+        // Brick-wall limiter: hard knee, maximum ratio and the fastest attack Web Audio allows
+        const limiter = audioContext.createDynamicsCompressor();
+        limiter.threshold.value = -1;
+        limiter.knee.value = 0;
+        limiter.ratio.value = 20;
+        limiter.attack.value = 0;
+        limiter.release.value = 0.05;
+
+        chain = { input, eq, compressor, gain, limiter };
+        wireChain();
+        applyProcessing();
+    };
+
+    // Rewiring only changes what feeds the destination track, so peers never renegotiate
+    const wireChain = () => {
+        if (!chain) return;
+        const { input, eq, compressor, gain, limiter } = chain;
+        [input, ...eq, compressor, gain, limiter].forEach(node => node.disconnect());
+
+        const nodes = [input];
+        if (processing.enabled) nodes.push(...eq);
+        if (processing.enabled && processing.compressor) nodes.push(compressor);
+        nodes.push(gain);
+        if (processing.enabled && processing.limiter) nodes.push(limiter);
+        nodes.push(analyser);
+
+        nodes.reduce((from, to) => {
+            from.connect(to);
+            return to;
+        });
+    };
+
+    const applyProcessing = () => {
+        if (!chain) return;
+        const now = audioContext.currentTime;
+        const smooth = (param, value) => param.setTargetAtTime(value, now, 0.02);
+
+        chain.eq.forEach((filter, i) => smooth(filter.gain, processing.eq[i]));
+        smooth(chain.compressor.threshold, processing.threshold);
+        smooth(chain.compressor.ratio, processing.ratio);
+        smooth(chain.gain.gain, processing.enabled ? dbToGain(processing.gainDb) : 1);
+    };
+
+    const renderProcessing = () => {
+        const card = dom.processingCard;
+        if (!card) return;
+        card.querySelectorAll('[data-setting]').forEach(el => {
+            const key = el.dataset.setting;
+            const value = key === 'eq' ? processing.eq[el.dataset.band] : processing[key];
+            if (el.type === 'checkbox') el.checked = value;
+            else el.value = value;
+        });
+        card.querySelectorAll('[data-value]').forEach(el => {
+            const key = el.dataset.value;
+            el.textContent = key === 'eq' ? processing.eq[el.dataset.band] : processing[key];
+        });
+    };
+
+    const onProcessingInput = (e) => {
+        const el = e.target;
+        const key = el.dataset.setting;
+        if (!key) return;
+
+        if (key === 'preset') {
+            if (!PROCESSING_PRESETS[el.value]) return;
+            Object.assign(processing, PROCESSING_PRESETS[el.value], { preset: el.value });
+            processing.eq = [...PROCESSING_PRESETS[el.value].eq];
+        } else if (key === 'eq') {
+            processing.eq[el.dataset.band] = parseFloat(el.value);
+            processing.preset = 'custom';
+        } else if (el.type === 'checkbox') {
+            processing[key] = el.checked;
+        } else {
+            processing[key] = parseFloat(el.value);
+            if (key !== 'gainDb') processing.preset = 'custom';
+        }
+
+        if (['enabled', 'compressor', 'limiter', 'preset'].includes(key)) wireChain();
+        applyProcessing();
+        renderProcessing();
+        localStorage.setItem('processing', JSON.stringify(processing));
+    };
+
+    // Microphone Mixing
+    const isMicLive = () => !!mic && (mixer.pushToTalk ? pttHeld : voiceActive);
+
+    // Faders and ducking only touch gain params, so the outgoing track and peers are unaffected
+    const updateMix = () => {
+        if (dom.micStatus) {
+            dom.micStatus.textContent = !mic ? 'Mic off' : isMicLive() ? 'Mic live' : mixer.pushToTalk ? 'Hold to talk' : 'Mic open';
+        }
+        if (!audioContext || !systemGain) return;
+
+        const now = audioContext.currentTime;
+        const ducked = mixer.ducking && isMicLive();
+        // Duck fast, recover slowly so speech isn't swamped between words
+        systemGain.gain.setTargetAtTime(
+            (mixer.systemLevel / 100) * (ducked ? dbToGain(mixer.duckDb) : 1), now, ducked ? 0.05 : 0.3);
+
+        if (mic) {
+            const open = !mixer.pushToTalk || pttHeld;
+            mic.gain.gain.setTargetAtTime(open ? mixer.micLevel / 100 : 0, now, 0.02);
+        }
+    };
+
+    const enableMic = async () => {
+        if (!audioContext || mic) return;
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: MIC_CONSTRAINTS });
+        if (!audioContext) {
+            stream.getTracks().forEach(t => t.stop());
+            return;
+        }
+
+        const source = audioContext.createMediaStreamSource(stream);
+        const gain = audioContext.createGain();
+        const micAnalyser = audioContext.createAnalyser();
+        micAnalyser.fftSize = 1024;
+        source.connect(micAnalyser);
+        source.connect(gain);
+        gain.connect(chain.input);
+
+        // Voice detection drives ducking in open-mic mode
+        const samples = new Float32Array(micAnalyser.fftSize);
+        const monitor = setInterval(() => {
+            micAnalyser.getFloatTimeDomainData(samples);
+            const rms = Math.sqrt(samples.reduce((sum, v) => sum + v * v, 0) / samples.length);
+            const now = Date.now();
+            if (20 * Math.log10(rms || 1e-8) > VOICE_THRESHOLD_DB) voiceHeldUntil = now + VOICE_HOLD;
+            const active = now < voiceHeldUntil;
+            if (active !== voiceActive) {
+                voiceActive = active;
+                updateMix();
+            }
+        }, 50);
+
+        mic = { stream, source, gain, analyser: micAnalyser, monitor };
+        updateMix();
+    };
+
+    const disableMic = () => {
+        if (!mic) return;
+        clearInterval(mic.monitor);
+        mic.stream.getTracks().forEach(t => t.stop());
+        mic.source.disconnect();
+        mic.gain.disconnect();
+        mic = null;
+        voiceActive = false;
+        updateMix();
+    };
+
+    const setPushToTalk = (held) => {
+        if (pttHeld === held) return;
+        pttHeld = held;
+        dom.pttBtn?.classList.toggle('is-active', held);
+        updateMix();
+    };
+
+    const renderMixer = () => {
+        dom.mixerCard?.querySelectorAll('[data-mixer]').forEach(el => {
+            const value = mixer[el.dataset.mixer];
+            if (el.type === 'checkbox') el.checked = value;
+            else el.value = value;
+        });
+        dom.mixerCard?.querySelectorAll('[data-mixer-value]').forEach(el => {
+            el.textContent = mixer[el.dataset.mixerValue];
+        });
+        if (dom.pttBtn) dom.pttBtn.hidden = !mixer.pushToTalk;
+    };
+
+    const onMixerInput = async (e) => {
+        const el = e.target;
+        const key = el.dataset.mixer;
+        if (!key) return;
+
+        mixer[key] = el.type === 'checkbox' ? el.checked : parseFloat(el.value);
+        localStorage.setItem('mixer', JSON.stringify(mixer));
+        renderMixer();
+
+        if (key === 'micEnabled') {
+            if (!mixer.micEnabled) disableMic();
+            else await enableMic().catch(err => notify(`Microphone unavailable: ${err.message}`, 'error'));
+        }
+        if (key === 'talkback') socket.emit('talkback-settings', { enabled: mixer.talkback });
+        if (key === 'talkbackMix') wireTalkback();
+        updateMix();
+    };
+
+    // Talkback: a listener's mic arrives on its own peer connection once the host approves it
+    const setTalkbackDirection = async (viewerId, direction) => {
+        const pc = peers.get(viewerId);
+        const transceiver = pc?.getTransceivers()[0];
+        if (!transceiver || transceiver.direction === direction || pc.signalingState === 'closed') return;
+        transceiver.direction = direction;
+        await sendOffer(viewerId, pc, { renegotiate: true }).catch(e => console.warn('Talkback renegotiation failed:', e));
+    };
+
+    const startTalkback = (viewerId, track) => {
+        if (talkback?.viewerId !== viewerId || !audioContext) return;
+        const stream = new MediaStream([track]);
+        // Chrome only feeds a remote stream into Web Audio while a media element plays it;
+        // that element doubles as the host's monitor
+        talkback.el?.pause();
+        talkback.el = new Audio();
+        talkback.el.srcObject = stream;
+        talkback.el.play().catch(() => { });
+        talkback.source?.disconnect();
+        talkback.source = audioContext.createMediaStreamSource(stream);
+        wireTalkback();
+        notify(`🎙️ ${talkback.name} is talking`, 'success');
+    };
+
+    // Mixing only changes what feeds the chain input, like the host mic
+    const wireTalkback = () => {
+        if (!talkback?.source) return;
+        talkback.source.disconnect();
+        if (mixer.talkbackMix && chain) talkback.source.connect(chain.input);
+    };
+
+    const stopTalkback = (viewerId) => {
+        if (!talkback || (viewerId && talkback.viewerId !== viewerId)) return;
+        talkback.source?.disconnect();
+        if (talkback.el) {
+            talkback.el.pause();
+            talkback.el.srcObject = null;
+        }
+        talkback = null;
+        renderTalkback();
+    };
+
+    const renderTalkback = () => {
+        if (dom.talkbackStatus) dom.talkbackStatus.textContent = talkback ? `🎙️ ${talkback.name} is talking` : '';
+        if (dom.endTalkback) dom.endTalkback.hidden = !talkback;
+    };
+
+    // Space bar acts as push-to-talk unless the user is typing
+    const isTyping = (e) => ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) && e.target.type !== 'range';
+
+    const onKey = (e) => {
+        if (e.code !== 'Space' || !mixer.pushToTalk || isTyping(e)) return;
+        e.preventDefault();
+        setPushToTalk(e.type === 'keydown');
+    };
+
+    // Sources: extra tracks published next to the main mix, e.g. a commentary mic or a second tab.
+    // They skip the processing chain, and recordings and the HTTP stream only ever carry the main mix.
+    const sourceTrack = (source) => (source.id === MAIN_SOURCE ? processedTrack : source.track);
+
+    // Listeners learn about sources and their labels from the server's stats
+    const publishSources = () => {
+        if (!isStreaming || !socket?.connected) return;
+        socket.emit('set-sources', { sources: sources.map(({ id, label }) => ({ id, label })) });
+    };
+
+    // Existing connections get the new transceiver by renegotiating; listeners keep playing meanwhile
+    const addSource = async (kind) => {
+        if (!isStreaming || sources.length >= MAX_SOURCES) return;
+        let stream;
+        try {
+            stream = kind === 'mic'
+                ? await navigator.mediaDevices.getUserMedia({ audio: MIC_CONSTRAINTS })
+                : await navigator.mediaDevices.getDisplayMedia(AUDIO_CONFIG.displayMedia);
+        } catch (e) {
+            return notify(`${SOURCE_KINDS[kind]} unavailable: ${e.message}`, 'error');
+        }
+        const [track] = stream.getAudioTracks();
+        if (!track || !isStreaming || sources.length >= MAX_SOURCES) {
+            stream.getTracks().forEach(t => t.stop());
+            if (!track) notify('No audio track - make sure to check "Share audio" when selecting the tab', 'error');
+            return;
+        }
+
+        const source = { id: `${kind}-${nextSourceId++}`, label: kind === 'mic' ? 'Commentary' : 'Tab audio', kind, stream, track };
+        // Ending the capture from the browser's own UI unpublishes the source
+        stream.getTracks().forEach(t => t.onended = () => removeSource(source.id));
+        sources.push(source);
+        publishSources();
+        renderSources();
+
+        for (const [viewerId, pc] of peers) {
+            const link = links.get(viewerId);
+            if (!link?.transceivers || pc.signalingState === 'closed') continue;
+            await addTransceiver(pc, link, source);
+            applyTracks(viewerId);
+            await sendOffer(viewerId, pc, { renegotiate: true }).catch(e => console.warn('Source renegotiation failed:', e));
+        }
+        notify(`Publishing "${source.label}" as a separate source`, 'success');
+    };
+
+    // The m-line stays in each connection with nothing on it, so removing needs no renegotiation
+    const dropSource = (source) => {
+        sources.splice(sources.indexOf(source), 1);
+        source.stream.getTracks().forEach(t => {
+            t.onended = null;
+            t.stop();
+        });
+        links.forEach((link, viewerId) => {
+            const transceiver = link.transceivers?.get(source.id);
+            if (!transceiver) return;
+            link.transceivers.delete(source.id);
+            if (peers.get(viewerId)?.signalingState !== 'closed') transceiver.sender.replaceTrack(null).catch(() => { });
+        });
+    };
+
+    const removeSource = (id) => {
+        const source = sources.find(s => s.id === id && s.id !== MAIN_SOURCE);
+        if (!source) return;
+        dropSource(source);
+        publishSources();
+        renderSources();
+    };
+
+    const clearSources = () => sources.slice(1).forEach(dropSource);
+
+    const renameSource = (id, label) => {
+        const source = sources.find(s => s.id === id);
+        if (!source) return;
+        source.label = label.trim().slice(0, 40) || SOURCE_KINDS[source.kind];
+        if (id === MAIN_SOURCE) localStorage.setItem('mainSourceLabel', source.label);
+        publishSources();
+        renderSources();
+    };
+
+    // Counts change with every subscription, so they update in place instead of re-rendering the labels being edited
+    const renderSourceCounts = () => {
+        dom.sourceItems?.querySelectorAll('[data-source-count]').forEach(el => {
+            el.textContent = isStreaming ? `${sourceListeners[el.dataset.sourceCount] || 0} listening` : 'Offline';
+        });
+    };
+
+    const renderSources = () => {
+        if (!dom.sourceItems) return;
+        dom.sourceItems.innerHTML = sources.map(({ id, label, kind }) => `
+            <div class="network-address source-item" data-source="${escapeHtml(id)}">
+                <input type="text" value="${escapeHtml(label)}" maxlength="40" aria-label="Source name">
+                <span class="controls">
+                    <span class="pill pill--neutral">${SOURCE_KINDS[kind]}</span>
+                    <span class="pill pill--neutral" data-source-count="${escapeHtml(id)}"></span>
+                    ${id === MAIN_SOURCE ? '' : '<button class="btn btn-danger" data-remove-source title="Stop publishing this source">✕</button>'}
+                </span>
+            </div>`).join('');
+        renderSourceCounts();
+
+        if (dom.sourcesStatus) {
+            dom.sourcesStatus.textContent = sources.length > 1 ? `${sources.length} sources` : 'Main only';
+            dom.sourcesStatus.className = `pill pill--${isStreaming && sources.length > 1 ? 'accent' : 'neutral'}`;
+        }
+        const full = !isStreaming || sources.length >= MAX_SOURCES;
+        if (dom.addMicSource) dom.addMicSource.disabled = full;
+        if (dom.addTabSource) dom.addTabSource.disabled = full;
+    };
+
     // Audio Level Visualization
     const visualize = () => {
         if (!analyser || !isStreaming) return;
@@ -301,9 +1641,11 @@
     const createPeerConnection = async (viewerId) => {
         if (!processedTrack) return;
 
-        const pc = new RTCPeerConnection({
-            iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
-        });
+        // A listener that rejoins gets a fresh connection
+        peers.get(viewerId)?.close();
+        stopTalkback(viewerId);
+
+        const pc = new RTCPeerConnection(rtcConfig);
 
         peers.set(viewerId, pc);
 
@@ -313,73 +1655,197 @@
             }
         };
 
+        let restarts = 0, restartTimer = null;
+
+        const restartIce = async () => {
+            if (peers.get(viewerId) !== pc || pc.connectionState === 'connected') return;
+            if (restarts++ >= MAX_ICE_RESTARTS) {
+                pc.close();
+                peers.delete(viewerId);
+                return;
+            }
+            try {
+                await sendOffer(viewerId, pc, { iceRestart: true });
+            } catch (e) {
+                console.warn('ICE restart failed:', e);
+            }
+        };
+
         pc.onconnectionstatechange = () => {
             const state = pc.connectionState;
-            if (state === 'failed' || state === 'disconnected' || state === 'closed') {
-                pc.close();
+            clearTimeout(restartTimer);
+            if (state === 'connected') {
+                restarts = 0;
+            } else if (state === 'disconnected') {
+                restartTimer = setTimeout(restartIce, ICE_RESTART_DELAY);
+            } else if (state === 'failed') {
+                restartIce();
+            } else if (state === 'closed' && peers.get(viewerId) === pc) {
                 peers.delete(viewerId);
             }
         };
 
-        // Add the audio track
-        const sender = pc.addTrack(processedTrack, new MediaStream([processedTrack]));
+        // Only arrives while this listener has the talkback floor
+        pc.ontrack = e => startTalkback(viewerId, e.track);
+
+        // One transceiver per source; the main mix goes first because talkback rides on transceiver 0
+        if (!links.has(viewerId)) links.set(viewerId, createLink());
+        const link = links.get(viewerId);
+        link.transceivers = new Map();
+        for (const source of sources) await addTransceiver(pc, link, source);
+
+        await sendOffer(viewerId, pc);
+        applyTracks(viewerId);
+    };
+
+    const addTransceiver = async (pc, link, source) => {
+        const track = sourceTrack(source);
+        const transceiver = pc.addTransceiver(track, { direction: 'sendonly', streams: [new MediaStream([track])] });
+        link.transceivers.set(source.id, transceiver);
 
         // Configure sender for maximum quality
         try {
-            const params = sender.getParameters();
+            const params = transceiver.sender.getParameters();
             if (!params.encodings || params.encodings.length === 0) {
                 params.encodings = [{}];
             }
 
-            // Set maximum bitrate
-            params.encodings[0].maxBitrate = AUDIO_CONFIG.maxBitrate;
+            // Start at the listener's current tier
+            params.encodings[0].maxBitrate = linkBitrate(link);
             params.encodings[0].priority = 'high';
             params.encodings[0].networkPriority = 'high';
 
-            await sender.setParameters(params);
+            await transceiver.sender.setParameters(params);
         } catch (e) {
             console.warn('Could not set sender parameters:', e);
         }
 
         // Set preferred codecs (Opus stereo first)
         try {
-            const transceiver = pc.getTransceivers().find(t => t.sender === sender);
-            if (transceiver) {
-                transceiver.direction = 'sendonly';
-
-                if (RTCRtpSender.getCapabilities) {
-                    const caps = RTCRtpSender.getCapabilities('audio');
-                    if (caps?.codecs) {
-                        // Prefer Opus with stereo
-                        const opusCodecs = caps.codecs.filter(c => c.mimeType === 'audio/opus');
-                        const otherCodecs = caps.codecs.filter(c => c.mimeType !== 'audio/opus');
-
-                        if (transceiver.setCodecPreferences) {
-                            transceiver.setCodecPreferences([...opusCodecs, ...otherCodecs]);
-                        }
+            if (RTCRtpSender.getCapabilities) {
+                const caps = RTCRtpSender.getCapabilities('audio');
+                if (caps?.codecs) {
+                    // Prefer Opus with stereo
+                    const opusCodecs = caps.codecs.filter(c => c.mimeType === 'audio/opus');
+                    const otherCodecs = caps.codecs.filter(c => c.mimeType !== 'audio/opus');
+
+                    if (transceiver.setCodecPreferences) {
+                        transceiver.setCodecPreferences([...opusCodecs, ...otherCodecs]);
                     }
                 }
             }
         } catch (e) {
             console.warn('Could not set codec preferences:', e);
         }
+    };
 
-        // Create offer
+    // Create and send an offer; ICE restarts and renegotiations reuse the same connection and track
+    const sendOffer = async (viewerId, pc, { iceRestart = false, renegotiate = false } = {}) => {
+        // Audio direction comes from the transceiver: sendrecv while this listener has the talkback floor
         const offer = await pc.createOffer({
-            offerToReceiveAudio: false,
+            iceRestart,
             offerToReceiveVideo: false,
             voiceActivityDetection: false
         });
 
-        // Enhance SDP for maximum Opus quality
-        offer.sdp = enhanceOpusSDP(offer.sdp);
+        // Enhance SDP for maximum Opus quality, with FEC/DTX as this listener's link needs
+        const link = links.get(viewerId);
+        const fmtp = link ? opusFmtp(link) : AUDIO_CONFIG.opusFmtp;
+        offer.sdp = enhanceOpusSDP(offer.sdp, fmtp);
+        if (link) link.fmtp = fmtp;
 
         await pc.setLocalDescription(offer);
-        socket.emit('webrtc-offer', { viewerId, sdp: offer });
+        socket.emit('webrtc-offer', { viewerId, sdp: offer, iceRestart, renegotiate, sources: offeredSources(link) });
+    };
+
+    // Which source each m-line carries, so the listener (or relay) can tell its tracks apart; mids exist once the offer is set
+    const offeredSources = (link) => Object.fromEntries([...(link?.transceivers || [])]
+        .filter(([, transceiver]) => transceiver.mid)
+        .map(([id, transceiver]) => [transceiver.mid, id]));
+
+    // Adaptive Bitrate
+    // sources: what the listener subscribed to; null for the relay, which gets every source and picks per listener
+    const createLink = (dataSaver = false, muted = false, sources = null) =>
+        ({ tier: 0, fec: false, dataSaver, muted, sources, transceivers: null, clean: 0, fmtp: null });
+
+    const isSubscribed = (link, sourceId) => !link.sources || link.sources.includes(sourceId);
+
+    // A sender only carries its source while the listener is subscribed and not muted, so sources nobody hears cost nothing
+    const applyTracks = (viewerId) => {
+        const link = links.get(viewerId);
+        if (!link?.transceivers || !processedTrack) return;
+        link.transceivers.forEach((transceiver, id) => {
+            const source = sources.find(s => s.id === id);
+            const send = source && !link.muted && isSubscribed(link, id);
+            transceiver.sender.replaceTrack(send ? sourceTrack(source) : null)
+                .catch(e => console.warn('Could not change listener tracks:', e));
+        });
+    };
+
+    const linkBitrate = (link) => {
+        const kbps = link?.dataSaver ? DATA_SAVER_KBPS : BITRATE_TIERS[link?.tier || 0];
+        return Math.min(kbps * 1000, AUDIO_CONFIG.maxBitrate);
+    };
+
+    const opusFmtp = (link) => AUDIO_CONFIG.opusFmtp
+        .replace('useinbandfec=0', `useinbandfec=${link.fec ? 1 : 0}`)
+        .replace('usedtx=0', `usedtx=${link.fec || link.dataSaver ? 1 : 0}`);
+
+    const describeLink = (link) =>
+        [`${Math.round(linkBitrate(link) / 1000)}kbps`, link.dataSaver && 'data saver', link.fec && 'FEC'].filter(Boolean).join(' · ');
+
+    const setSenderBitrate = async (pc, bitrate) => {
+        for (const sender of pc.getSenders()) {
+            if (sender.track && sender.track.kind !== 'audio') continue; // a muted sender has no track
+            try {
+                const params = sender.getParameters();
+                if (params.encodings?.length) {
+                    params.encodings[0].maxBitrate = bitrate;
+                    await sender.setParameters(params);
+                }
+            } catch (e) {
+                console.warn('Failed to apply new bitrate to peer', e);
+            }
+        }
+    };
+
+    // Push a link's bitrate to its sender; FEC/DTX changes need a new offer on the same connection
+    const applyLink = async (viewerId) => {
+        const pc = peers.get(viewerId);
+        const link = links.get(viewerId);
+        if (!pc || !link) return;
+
+        await setSenderBitrate(pc, linkBitrate(link));
+        if (link.fmtp && link.fmtp !== opusFmtp(link) && pc.signalingState === 'stable') {
+            await sendOffer(viewerId, pc, { renegotiate: true }).catch(e => console.warn('Renegotiation failed:', e));
+        }
+        document.dispatchEvent(new CustomEvent('listener-link', { detail: { viewerId, label: describeLink(link) } }));
+    };
+
+    const adaptLink = (viewerId, { lossPct = 0, rttMs = 0 }) => {
+        const link = links.get(viewerId);
+        if (!link || !peers.has(viewerId)) return;
+
+        if (lossPct > STEP_DOWN.lossPct || rttMs > STEP_DOWN.rttMs) {
+            link.clean = 0;
+            link.tier = Math.min(link.tier + 1, BITRATE_TIERS.length - 1);
+        } else if (lossPct < STEP_UP.lossPct && rttMs < STEP_UP.rttMs) {
+            // Drop FEC first, then climb one tier per clean streak
+            if (++link.clean >= STEP_UP.samples) {
+                link.clean = 0;
+                if (link.fec) link.fec = false;
+                else link.tier = Math.max(link.tier - 1, 0);
+            }
+        } else {
+            link.clean = 0;
+        }
+        if (lossPct > LOSSY_PCT) link.fec = true;
+
+        applyLink(viewerId);
     };
 
     // Enhance SDP to set Opus to maximum quality
-    const enhanceOpusSDP = (sdp) => {
+    const enhanceOpusSDP = (sdp, fmtp = AUDIO_CONFIG.opusFmtp) => {
         const lines = sdp.split('\r\n');
         const result = [];
         let opusPayload = null;
@@ -399,13 +1865,13 @@
         for (const line of lines) {
             if (line.startsWith(`a=fmtp:${opusPayload}`)) {
                 // Replace existing fmtp line with our high-quality settings
-                result.push(`a=fmtp:${opusPayload} ${AUDIO_CONFIG.opusFmtp}`);
+                result.push(`a=fmtp:${opusPayload} ${fmtp}`);
                 addedFmtp = true;
             } else {
                 result.push(line);
                 // Add fmtp after rtpmap if not already present
                 if (!addedFmtp && line.includes(`rtpmap:${opusPayload} opus`)) {
-                    result.push(`a=fmtp:${opusPayload} ${AUDIO_CONFIG.opusFmtp}`);
+                    result.push(`a=fmtp:${opusPayload} ${fmtp}`);
                     addedFmtp = true;
                 }
             }
@@ -414,6 +1880,12 @@
         return result.join('\r\n');
     };
 
+    // Starting bitrate and latency come from the server config rather than this file
+    const applyAudioDefaults = ({ bitrateKbps, latencyMs }) => {
+        AUDIO_CONFIG.maxBitrate = bitrateKbps * 1000;
+        if (dom.bitrate) dom.bitrate.value = bitrateKbps;
+        if (dom.latency) dom.latency.value = latencyMs;
+    };
 
     const applyTuning = () => {
         const latency = parseInt(dom.latency.value, 10);
@@ -422,32 +1894,20 @@
         if (isNaN(latency) || isNaN(bitrateKbps)) return;
 
         AUDIO_CONFIG.maxBitrate = bitrateKbps * 1000;
+        tuned = true;
         
+        const syncMode = !!dom.syncMode?.checked;
+
         // Update DOM
         if (dom.tuneStatus) {
-            dom.tuneStatus.textContent = `48kHz Stereo | ${bitrateKbps}kbps | ${latency}ms Latency`;
+            dom.tuneStatus.textContent = `48kHz Stereo | ${bitrateKbps}kbps | ${syncMode ? 'Synced playback' : `${latency}ms Latency`}`;
         }
 
         // Notify server to tell listeners
-        socket.emit('tune-settings', { latency });
-
-        // Update active peers
-        peers.forEach(async (pc, viewerId) => {
-            const senders = pc.getSenders();
-            for (const sender of senders) {
-                if (sender.track && sender.track.kind === 'audio') {
-                    try {
-                        const params = sender.getParameters();
-                        if (params.encodings && params.encodings.length > 0) {
-                            params.encodings[0].maxBitrate = AUDIO_CONFIG.maxBitrate;
-                            await sender.setParameters(params);
-                        }
-                    } catch (e) {
-                        console.warn('Failed to apply new bitrate to peer', e);
-                    }
-                }
-            }
-        });
+        socket.emit('tune-settings', { latency, bitrateKbps, syncMode });
+
+        // Update active peers; the tuning bitrate caps every listener's tier
+        peers.forEach((_, viewerId) => applyLink(viewerId));
         
         notify(`Tuning applied: ${bitrateKbps}kbps, ${latency}ms`, 'success');
     };
@@ -457,17 +1917,105 @@
     const bindUI = () => {
         dom.copyUrl?.addEventListener('click', () => copyToClipboard(dom.shareUrl, 'Console URL copied'));
         dom.copyListenUrl?.addEventListener('click', () => copyToClipboard(dom.listenUrl, 'Listener URL copied'));
+        dom.copyStreamUrl?.addEventListener('click', () => copyToClipboard(dom.streamUrl, 'Stream URL copied'));
         dom.startBtn?.addEventListener('click', startAudio);
         dom.tuneBtn?.addEventListener('click', applyTuning);
         dom.stopBtn?.addEventListener('click', stopAudio);
+        dom.setJoinCode?.addEventListener('click', applyJoinCode);
+        dom.applyNowPlaying?.addEventListener('click', broadcastNowPlaying);
+        dom.nowPlayingFromTab?.addEventListener('click', useTabTitle);
+        renderNowPlaying(JSON.parse(localStorage.getItem(nowPlayingKey) || 'null'));
+        dom.recordBtn?.addEventListener('click', () => (recorder ? stopRecording() : startRecording()));
+        dom.refreshRecordings?.addEventListener('click', loadRecordings);
+        dom.processingCard?.addEventListener('input', onProcessingInput);
+        renderProcessing();
+
+        dom.mixerCard?.addEventListener('input', onMixerInput);
+        dom.endTalkback?.addEventListener('click', () => {
+            if (talkback) socket.emit('talkback-grant', { viewerId: talkback.viewerId, granted: false });
+        });
+        dom.pttBtn?.addEventListener('pointerdown', () => setPushToTalk(true));
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type =>
+            dom.pttBtn?.addEventListener(type, () => setPushToTalk(false)));
+        document.addEventListener('keydown', onKey);
+        document.addEventListener('keyup', onKey);
+        renderMixer();
+        updateMix();
+        dom.addMicSource?.addEventListener('click', () => addSource('mic'));
+        dom.addTabSource?.addEventListener('click', () => addSource('tab'));
+        dom.sourceItems?.addEventListener('change', (e) => {
+            const id = e.target.closest('[data-source]')?.dataset.source;
+            if (id && e.target.tagName === 'INPUT') renameSource(id, e.target.value);
+        });
+        dom.sourceItems?.addEventListener('click', (e) => {
+            const id = e.target.closest('[data-source]')?.dataset.source;
+            if (id && e.target.closest('[data-remove-source]')) removeSource(id);
+        });
+        renderSources();
+        dom.recordings?.addEventListener('click', (e) => {
+            const id = e.target.dataset?.delete;
+            if (id) deleteRecording(id);
+        });
+        if (dom.joinCode) dom.joinCode.value = localStorage.getItem(joinCodeKey) || '';
+        if (dom.historyLink) {
+            const query = new URLSearchParams({ channel, ...(sessionToken ? { session: sessionToken } : {}) });
+            dom.historyLink.href = `/history?${query}`;
+        }
+        dom.scheduleStartNow?.addEventListener('click', startScheduledNow);
+        dom.scheduleForm?.addEventListener('submit', createSchedule);
+        dom.scheduleList?.addEventListener('click', (e) => {
+            const id = e.target.dataset?.cancel;
+            if (id) cancelSchedule(id);
+        });
+        if (dom.scheduleStart) dom.scheduleStart.value = defaultScheduleStart();
+
+        dom.audioSource?.addEventListener('change', () => setAudioSource(dom.audioSource.value));
+        setAudioSource(audioSource);
+        dom.playlistFiles?.addEventListener('change', () => {
+            addToPlaylist([...dom.playlistFiles.files].map(file => ({ name: file.name, file })));
+            dom.playlistFiles.value = '';
+        });
+        dom.addServerFile?.addEventListener('click', () => {
+            const name = dom.playlistServerFiles?.value;
+            if (name) addToPlaylist([{ name, url: `/media/${encodeURIComponent(name)}` }]);
+        });
+        dom.playlistItems?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-index]');
+            if (!row) return;
+            const index = Number(row.dataset.index);
+            const button = e.target.closest('button');
+            if (!button) cueTrack(index);
+            else if (button.dataset.move) moveTrack(index, Number(button.dataset.move));
+            else if ('remove' in button.dataset) removeTrack(index);
+        });
+        dom.playlistPrev?.addEventListener('click', previousTrack);
+        dom.playlistPlay?.addEventListener('click', togglePlaylistPause);
+        dom.playlistNext?.addEventListener('click', skipTrack);
+        dom.playlistSeek?.addEventListener('input', () => {
+            playlist.seeking = true;
+            renderProgress();
+        });
+        dom.playlistSeek?.addEventListener('change', () => {
+            playlist.seeking = false;
+            cueTrack(playlist.index, parseFloat(dom.playlistSeek.value));
+        });
+        if (dom.playlistCrossfade) {
+            dom.playlistCrossfade.value = playlist.crossfade;
+            dom.playlistCrossfade.addEventListener('input', setCrossfade);
+            setCrossfade();
+        }
+        renderPlaylist();
     };
 
     // Initialize
     document.addEventListener('DOMContentLoaded', () => {
         initSocket();
         loadNetworkInfo();
+        loadRecordings();
+        loadMedia();
         bindUI();
         setStatus('OFFLINE', 'neutral');
+        if (dom.channelName) dom.channelName.textContent = `#${channel}`;
     });
 
     // Expose socket for inline scripts
@@ -479,31 +2027,288 @@
 
 // Inline script logic from index.html moved here
 (() => {
+    const HISTORY = 30; // samples kept per listener (~1 minute at 2s intervals)
+    const SPARKLINES = [
+        { key: 'rttMs', label: 'RTT', unit: 'ms' },
+        { key: 'jitterMs', label: 'Jitter', unit: 'ms' },
+        { key: 'lossPct', label: 'Loss', unit: '%' },
+        { key: 'bitrateKbps', label: 'Bitrate', unit: 'kbps' }
+    ];
+    const TALKBACK_PILLS = { requested: '✋ Hand raised', granted: '🎙️ Opening mic…', live: '🎙️ Talking' };
+
+    // One penalty point per metric that is merely degraded, two when it is bad
+    const grade = (s) => {
+        const penalty = (v, fair, poor) => (v > poor ? 2 : v > fair ? 1 : 0);
+        const score =
+            penalty(s.rttMs, 100, 200) +
+            penalty(s.jitterMs, 10, 30) +
+            penalty(s.lossPct, 1, 5) +
+            penalty(s.concealedPct, 1, 5);
+        if (score === 0) return { letter: 'A', label: 'Excellent' };
+        if (score <= 2) return { letter: 'B', label: 'Good' };
+        if (score <= 4) return { letter: 'C', label: 'Fair' };
+        return { letter: 'D', label: 'Poor' };
+    };
+
+    const sparkline = (values) => {
+        const w = 80, h = 20;
+        const max = Math.max(...values, 1);
+        const step = w / Math.max(HISTORY - 1, 1);
+        const offset = (HISTORY - values.length) * step;
+        const points = values.map((v, i) => `${(offset + i * step).toFixed(1)},${(h - (v / max) * h).toFixed(1)}`);
+        return `<svg class="sparkline" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none"><polyline points="${points.join(' ')}"/></svg>`;
+    };
+
+    // Listener names come from the listeners themselves
+    const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+    const formatSince = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
     const wait = () => {
         if (!window.socket) return setTimeout(wait, 100);
 
         const $ = id => document.getElementById(id);
         const viewerList = $('viewerList');
+        const banList = $('banList');
         const viewerCount = $('viewerCountInline');
         const qualityPanel = $('qualityPanel');
-        const stats = {};
-
-        socket.on('stats', ({ viewerIds = [], viewerCount: count }) => {
-            viewerList.innerHTML = viewerIds.length
-                ? viewerIds.map(id => `<div class="viewer-chip">${id.slice(0, 8)}</div>`).join('')
+        const history = new Map();
+        const tiers = new Map(); // viewerId -> current adaptive bitrate tier label
+        let viewerIds = [];
+        let listeners = []; // host-only details: { viewerId, name, device, ip, since, muted, dataSaver, talkback, sources }
+        let bans = [];
+        let sourceLabels = new Map(); // published source ID -> label; stats always arrive just before the listener list
+
+        const nameOf = (id) => listeners.find(l => l.viewerId === id)?.name || id.slice(0, 8);
+
+        const renderViewers = () => {
+            viewerList.innerHTML = listeners.length
+                ? listeners.map(({ viewerId, name, device, ip, since, muted, talkback, sources = [] }) => {
+                    const samples = history.get(viewerId);
+                    const quality = samples ? grade(samples[samples.length - 1]) : null;
+                    const id = escapeHtml(viewerId);
+                    const hearing = sources.map(s => sourceLabels.get(s)).filter(Boolean).join(' + ') || 'nothing';
+                    return `
+                        <div class="listener-row">
+                            <div class="listener-info">
+                                <div class="listener-name">
+                                    <strong>${escapeHtml(name)}</strong>
+                                    ${quality ? `<span class="quality-grade quality-grade--${quality.letter.toLowerCase()}" title="${quality.label}">${quality.letter}</span>` : ''}
+                                    ${tiers.has(viewerId) ? `<span class="pill">${tiers.get(viewerId)}</span>` : ''}
+                                    ${muted ? '<span class="pill">Muted</span>' : ''}
+                                    ${TALKBACK_PILLS[talkback] ? `<span class="pill">${TALKBACK_PILLS[talkback]}</span>` : ''}
+                                    ${sourceLabels.size > 1 ? `<span class="pill" title="Sources this listener hears">🎧 ${escapeHtml(hearing)}</span>` : ''}
+                                </div>
+                                <div class="listener-meta">${escapeHtml(device)} · ${escapeHtml(ip)} · since ${formatSince(since)}</div>
+                            </div>
+                            <div class="listener-actions">
+                                ${talkback === 'requested' ? `<button class="btn btn-primary" data-action="talkback-grant" data-viewer="${id}">Let talk</button>` : ''}
+                                ${talkback && talkback !== 'idle' ? `<button class="btn btn-secondary" data-action="talkback-end" data-viewer="${id}">${talkback === 'requested' ? 'Dismiss' : 'End talk'}</button>` : ''}
+                                <button class="btn btn-secondary" data-action="mute" data-viewer="${id}">${muted ? 'Unmute' : 'Mute'}</button>
+                                <button class="btn btn-secondary" data-action="kick" data-viewer="${id}">Kick</button>
+                                <button class="btn btn-danger" data-action="ban" data-viewer="${id}">Ban</button>
+                            </div>
+                        </div>`;
+                }).join('')
                 : '<div class="viewer-empty">No listeners connected</div>';
+        };
+
+        const renderBans = () => {
+            banList.hidden = !bans.length;
+            banList.innerHTML = bans.map(({ id, name, ip }) => `
+                <div class="network-address">
+                    <span>⛔ ${escapeHtml(name)} <span class="listener-meta">${escapeHtml(ip)}</span></span>
+                    <button class="btn btn-secondary" data-unban="${escapeHtml(id)}">Unban</button>
+                </div>`).join('');
+        };
+
+        const onListenerAction = (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const viewerId = button.dataset.viewer;
+            const listener = listeners.find(l => l.viewerId === viewerId);
+            if (!listener) return;
+
+            if (button.dataset.action === 'mute') socket.emit('mute-viewer', { viewerId, muted: !listener.muted });
+            else if (button.dataset.action === 'talkback-grant') socket.emit('talkback-grant', { viewerId, granted: true });
+            else if (button.dataset.action === 'talkback-end') socket.emit('talkback-grant', { viewerId, granted: false });
+            else if (button.dataset.action === 'kick') socket.emit('disconnect-viewer', { viewerId });
+            else if (button.dataset.action === 'ban' && confirm(`Ban ${listener.name} (${listener.ip}) from this channel?`)) {
+                socket.emit('ban-viewer', { viewerId });
+            }
+        };
+
+        viewerList.addEventListener('click', onListenerAction);
+        banList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-unban]');
+            if (button) socket.emit('unban', { banId: button.dataset.unban });
+        });
+
+        const render = () => {
+            const rows = [...history.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([id, samples]) => {
+                const latest = samples[samples.length - 1];
+                const { letter, label } = grade(latest);
+                const charts = SPARKLINES.map(({ key, label: name, unit }) => `
+                    <div class="quality-metric">
+                        <span>${name} <strong>${latest[key] ?? 0}${unit}</strong></span>
+                        ${sparkline(samples.map(s => s[key] || 0))}
+                    </div>`).join('');
+                return `
+                    <div class="quality-row">
+                        <div class="quality-head">
+                            <span>${escapeHtml(nameOf(id))}</span>
+                            <span class="quality-grade quality-grade--${letter.toLowerCase()}" title="${label}">${letter}</span>
+                        </div>
+                        <div class="quality-metrics">${charts}</div>
+                        <div class="quality-extra">Concealed ${latest.concealedPct ?? 0}% | Buffer ${latest.bufferMs ?? 0}ms</div>
+                    </div>`;
+            });
+            qualityPanel.innerHTML = rows.join('') || '<div class="viewer-empty">Waiting for listener reports...</div>';
+        };
+
+        socket.on('stats', ({ viewerIds: ids = [], viewerCount: count, sources = [] }) => {
+            viewerIds = ids;
+            sourceLabels = new Map(sources.map(s => [s.id, s.label]));
+            for (const id of history.keys()) {
+                if (!viewerIds.includes(id)) history.delete(id);
+            }
+            for (const id of tiers.keys()) {
+                if (!viewerIds.includes(id)) tiers.delete(id);
+            }
             qualityPanel.hidden = !viewerIds.length;
             viewerCount.textContent = count || 0;
+            render();
         });
 
-        socket.on('listener-stats', ({ viewerId, rttMs, jitterMs, bitrateKbps }) => {
-            stats[viewerId] = { rttMs, jitterMs, bitrateKbps };
-            const lines = Object.entries(stats).sort().map(([id, s]) => {
-                const q = s.rttMs < 100 && s.jitterMs < 10 ? 'OK' : s.rttMs < 200 ? 'FAIR' : 'POOR';
-                return `[${q}] ${id.slice(0, 8)} | RTT:${s.rttMs}ms Jitter:${s.jitterMs}ms ${s.bitrateKbps}kbps`;
-            });
-            qualityPanel.textContent = lines.join('\n') || 'Waiting...';
+        socket.on('listeners', (list) => {
+            listeners = list;
+            renderViewers();
+        });
+
+        socket.on('bans', (list) => {
+            bans = list;
+            renderBans();
+        });
+
+        socket.on('listener-stats', ({ viewerId, ...sample }) => {
+            const samples = history.get(viewerId) || [];
+            samples.push(sample);
+            if (samples.length > HISTORY) samples.shift();
+            history.set(viewerId, samples);
+            render();
+            renderViewers();
+        });
+
+        socket.on('viewer-left', ({ viewerId }) => {
+            history.delete(viewerId);
+            tiers.delete(viewerId);
+            render();
+        });
+
+        document.addEventListener('listener-link', ({ detail: { viewerId, label } }) => {
+            if (tiers.get(viewerId) === label) return;
+            tiers.set(viewerId, label);
+            renderViewers();
         });
     };
     wait();
 })();
+
+// Chat panel: messages, reactions and moderation
+(() => {
+    // Registered after the console's own DOMContentLoaded handler, so the socket exists but
+    // hasn't received anything yet - polling could miss the chat-history sent on connect
+    const init = () => {
+        const socket = window.socket;
+        const $ = id => document.getElementById(id);
+        const dom = {
+            messages: $('chatMessages'),
+            reactions: $('chatReactions'),
+            form: $('chatForm'),
+            input: $('chatInput'),
+            enabled: $('chatEnabled'),
+            slowMode: $('chatSlowMode')
+        };
+        if (!dom.messages) return;
+
+        const formatTime = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        // Built with textContent: chat text and names come from listeners
+        const renderMessage = ({ id, from, author, text, sentAt }) => {
+            const row = document.createElement('div');
+            row.className = `chat-message${from === 'host' ? ' chat-message--host' : ''}`;
+            row.dataset.id = id;
+
+            const meta = document.createElement('span');
+            meta.className = 'chat-meta';
+            meta.textContent = `${formatTime(sentAt)} ${author}`;
+
+            const body = document.createElement('span');
+            body.className = 'chat-text';
+            body.textContent = text;
+
+            const remove = document.createElement('button');
+            remove.className = 'chat-delete';
+            remove.title = 'Delete message';
+            remove.textContent = '×';
+            remove.dataset.delete = id;
+
+            row.append(meta, body, remove);
+            dom.messages.appendChild(row);
+            dom.messages.scrollTop = dom.messages.scrollHeight;
+        };
+
+        const showReaction = ({ emoji, author }) => {
+            const burst = document.createElement('span');
+            burst.className = 'reaction-burst';
+            burst.textContent = emoji;
+            burst.title = author;
+            burst.style.left = `${10 + Math.random() * 80}%`;
+            dom.messages.parentElement.appendChild(burst);
+            setTimeout(() => burst.remove(), 2000);
+        };
+
+        const renderSettings = ({ enabled, slowModeSec, reactions }) => {
+            dom.enabled.checked = enabled;
+            dom.slowMode.value = String(slowModeSec);
+            if (reactions && !dom.reactions.childElementCount) {
+                dom.reactions.innerHTML = reactions.map(e => `<button type="button" class="chat-reaction" data-emoji="${e}">${e}</button>`).join('');
+            }
+        };
+
+        const pushSettings = () => {
+            socket.emit('chat-settings', { enabled: dom.enabled.checked, slowModeSec: parseInt(dom.slowMode.value, 10) || 0 });
+        };
+
+        socket.on('chat-history', ({ messages, settings }) => {
+            dom.messages.innerHTML = '';
+            messages.forEach(renderMessage);
+            renderSettings(settings);
+        });
+        socket.on('chat-message', renderMessage);
+        socket.on('chat-deleted', ({ messageId }) => {
+            dom.messages.querySelector(`[data-id="${CSS.escape(messageId)}"]`)?.remove();
+        });
+        socket.on('chat-settings', renderSettings);
+        socket.on('chat-reaction', showReaction);
+
+        dom.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const text = dom.input.value.trim();
+            if (!text) return;
+            socket.emit('chat-message', { text });
+            dom.input.value = '';
+        });
+        dom.messages.addEventListener('click', (e) => {
+            const id = e.target.dataset?.delete;
+            if (id) socket.emit('chat-delete', { messageId: id });
+        });
+        dom.reactions.addEventListener('click', (e) => {
+            const emoji = e.target.dataset?.emoji;
+            if (emoji) socket.emit('chat-reaction', { emoji });
+        });
+        dom.enabled.addEventListener('change', pushSettings);
+        dom.slowMode.addEventListener('change', pushSettings);
+    };
+    document.addEventListener('DOMContentLoaded', init);
+})();
@@ -0,0 +1,39 @@
+(() => {
+    'use strict';
+
+    const $ = id => document.getElementById(id);
+    const dom = {
+        status: $('tlsStatus'),
+        download: $('downloadCert'),
+        openHttps: $('openHttps'),
+        fingerprint: $('fingerprint'),
+        steps: $('steps')
+    };
+
+    const load = async () => {
+        try {
+            const info = await fetch('/trust/info').then(res => res.json());
+            if (!info.https) {
+                dom.status.textContent = 'HTTPS is off';
+                return;
+            }
+            if (location.protocol !== 'https:') {
+                dom.openHttps.href = info.url;
+                dom.openHttps.hidden = false;
+            }
+            if (!info.selfSigned) {
+                dom.status.textContent = 'Using a configured certificate - nothing to install';
+                return;
+            }
+            dom.status.textContent = `Self-signed · valid until ${new Date(info.validTo).toLocaleDateString()}`;
+            dom.fingerprint.textContent = `SHA-256 ${info.fingerprint}`;
+            dom.download.hidden = false;
+            dom.fingerprint.hidden = false;
+            dom.steps.hidden = false;
+        } catch {
+            dom.status.textContent = 'Server unreachable';
+        }
+    };
+
+    document.addEventListener('DOMContentLoaded', load);
+})();
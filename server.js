@@ -7,21 +7,138 @@
 const express = require('express');
 const path = require('path');
 const http = require('http');
+const https = require('https');
 const { Server } = require('socket.io');
 const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+const { loadConfig, usage, ConfigError } = require('./lib/config');
+const { loadCertificate, selfSignedCertificate, localHosts } = require('./lib/tls');
+const { advertise } = require('./lib/mdns');
+const { createLogger } = require('./lib/log');
+const { createMetrics } = require('./lib/metrics');
+const { createHistory } = require('./lib/history');
+const { createScheduler, ScheduleError } = require('./lib/scheduler');
+const { createPlayout } = require('./lib/playout');
+const QRCode = require('qrcode');
 
 // ─────────────────────────────────────────────────────────────
 // Configuration
 // ─────────────────────────────────────────────────────────────
-const PORT = process.env.PORT || 3000;
-const SESSION_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+// Config file, env vars and flags are merged and validated by lib/config.js; see --help
+const config = (() => {
+  try {
+    return loadConfig();
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    console.error(`Configuration error: ${e.message}`);
+    process.exit(1);
+  }
+})();
+if (config.help) {
+  console.log(usage());
+  process.exit(0);
+}
+
+// Lines below the configured level are dropped; socket handlers log through a child carrying the socket ID
+const log = createLogger({ level: config.logLevel, format: config.logFormat });
+
+const PORT = config.port;
+const BIND_ADDRESS = config.bindAddress;
+const SCHEME = config.tls.enabled ? 'https' : 'http';
+const REDIRECT_PORT = config.tls.redirectPort; // plain HTTP port that forwards to HTTPS; 0 = off
+const MAX_LISTENERS = config.maxListeners; // per channel; 0 = unlimited
+// mDNS hostname; null when turned off or when the server only listens on loopback
+const MDNS_HOST = config.mdns.enabled && !['127.0.0.1', '::1', 'localhost'].includes(BIND_ADDRESS) ? `${config.mdns.name}.local` : null;
+const QR_MAX_TEXT = 512;
+const DEFAULT_CHANNEL = 'main';
+const SESSION_MAX_AGE = config.auth.sessionTimeout * 1000;
 const SESSION_CLEANUP_INTERVAL = 5 * 60 * 1000; // 5 minutes
+// Remote hosts log in with the configured host password, or with a PIN generated for this run
+const HOST_PASSWORD = config.auth.hostPassword;
+const HOST_PIN = HOST_PASSWORD ? null : crypto.randomInt(0, 1e6).toString().padStart(6, '0');
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_WINDOW = 5 * 60 * 1000; // 5 minutes
+const RATE_WINDOW = 10 * 1000; // per-socket event limits are counted over 10 seconds
+
+// ICE: lanOnly disables STUN/TURN entirely (host candidates only, no internet needed)
+const LAN_ONLY = config.ice.lanOnly;
+const STUN_URLS = config.ice.stunUrls;
+const TURN_URLS = config.ice.turnUrls;
+const TURN_SECRET = config.ice.turnSecret; // coturn `static-auth-secret`
+const TURN_USERNAME = config.ice.turnUsername;
+const TURN_CREDENTIAL = config.ice.turnCredential;
+const TURN_TTL = config.ice.turnTtl; // seconds
+
+// Relay: 'p2p' (the host browser connects to every listener) or 'sfu' (the server forwards one host track)
+const RELAY_MODE = config.relayMode;
+const sfu = RELAY_MODE === 'sfu' ? require('./lib/sfu') : null;
+// Scheduled playout needs the relay in either mode; in p2p mode werift only loads when it first runs
+const relayModule = () => sfu || require('./lib/sfu');
+
+// Starting tuning for every channel; the host console gets these as its defaults
+const AUDIO_DEFAULTS = { bitrateKbps: config.audio.bitrateKbps, latencyMs: config.audio.latencyMs };
+
+const RECORDINGS_DIR = config.recordingsDir;
+const RECORDING_FORMATS = { 'audio/ogg': 'ogg', 'audio/webm': 'webm' };
+const RECORDING_MAX_CHUNK = 512 * 1024; // bytes
+
+// Broadcast history: one JSON file per broadcast with listener counts and quality summaries
+const HISTORY_DIR = config.historyDir;
+
+// HTTP stream: a second MediaRecorder feed from the host, re-served Icecast-style at /stream/:channel
+const STREAM_MAX_TAIL = 4 * 1024 * 1024; // bytes kept since the last cluster/page boundary for late joiners
+const STREAM_MAX_BUFFERED = 1024 * 1024; // a player further behind than this is dropped
+
+// Listener bans survive restarts
+const BANS_FILE = config.bansFile;
+
+// Scheduled broadcasts: the host console is told when to go live, or with no console connected
+// the server plays the schedule's Ogg Opus files from MEDIA_DIR itself. Host playlists can use
+// any file in MEDIA_DIR the browser decodes; only Ogg Opus can be played by the server.
+const SCHEDULES_FILE = config.schedulesFile;
+const MEDIA_DIR = config.mediaDir;
+const MEDIA_FILE = /^[^./\\][^/\\]*\.(opus|ogg|mp3|m4a|aac|flac|wav|webm)$/i;
+const PLAYOUT_FILE = /\.(opus|ogg)$/i;
+
+// Sync mode: every listener delays playback to the slowest listener's delay plus a margin
+const SYNC_MARGIN_MS = 20;
+const SYNC_MAX_DELAY_MS = 2000;
+const SYNC_REPORT_TTL = 10 * 1000; // reports older than this no longer count
+const SYNC_RETARGET_MS = 5; // smaller target changes aren't worth re-buffering every listener
+const SYNC_APPLY_DELAY = 500; // listeners switch to a new target together, this long after it is sent
+
+// Sources: the host can publish a few labelled tracks at once (the main mix plus, say, a
+// commentary mic or a second tab); each listener subscribes to one or a mix of them
+const MAX_SOURCES = 4;
+const MAIN_SOURCE = 'main'; // the processed mix; the only source recordings, /stream and playout carry
+const DEFAULT_SOURCES = [{ id: MAIN_SOURCE, label: 'Main' }];
+
+// Chat: history is kept in memory for as long as the channel exists
+const CHAT_HISTORY = 100; // messages replayed to late joiners
+const CHAT_MAX_LENGTH = 500;
+const CHAT_REACTIONS = ['👍', '❤️', '😂', '🔥', '👏', '🎉'];
+const CHAT_SLOW_MODES = [0, 5, 10, 30, 60]; // seconds between messages per listener
 
 // ─────────────────────────────────────────────────────────────
 // Server Setup
 // ─────────────────────────────────────────────────────────────
+// HTTPS uses the configured certificate, or a self-signed one for this machine's addresses
+const loadTls = () => {
+  if (!config.tls.enabled) return null;
+  try {
+    return config.tls.certFile
+      ? loadCertificate(config.tls)
+      : selfSignedCertificate({ dir: config.tls.dir, hosts: [...localHosts(), ...(MDNS_HOST ? [MDNS_HOST] : [])] });
+  } catch (e) {
+    log.error('HTTPS certificate error', { error: e });
+    process.exit(1);
+  }
+};
+
+const tls = loadTls(); // { cert, key, selfSigned, generated, hosts, validTo, fingerprint, der } or null
 const app = express();
-const server = http.createServer(app);
+const server = tls ? https.createServer({ cert: tls.cert, key: tls.key }, app) : http.createServer(app);
 const io = new Server(server, {
   cors: { origin: '*' },
   pingTimeout: 60000,
@@ -33,38 +150,307 @@ app.use(express.json());
 // ─────────────────────────────────────────────────────────────
 // State
 // ─────────────────────────────────────────────────────────────
-let hostSocketId = null;
+// channel name -> { name, hostSocketId, streaming, joinCode, nowPlaying, chat, talkback, recording, feed, relay, broadcast, playout, tuning, sync, viewers, viewerStats, createdAt }
+const channels = new Map();
+// token -> { role: 'host' | 'listener', channel, createdAt }
 const sessions = new Map();
-const viewers = new Map();
-const viewerStats = new Map();
+const loginAttempts = new Map();
+// [{ id, channel, ip, deviceId, name, createdAt }], loaded from BANS_FILE
+const bans = (() => {
+  try {
+    return JSON.parse(fs.readFileSync(BANS_FILE, 'utf8')).bans || [];
+  } catch (e) {
+    if (e.code !== 'ENOENT') log.error('Could not read bans', { error: e });
+    return [];
+  }
+})();
+let shuttingDown = false;
+const history = createHistory({ dir: HISTORY_DIR, onError: (e) => log.error('Could not save history', { error: e }) });
+
+// Prometheus counters are fed by the handlers below; gauges read this state on each scrape
+const metrics = createMetrics({
+  state: {
+    sockets: () => io.engine.clientsCount,
+    channels: () => [...channels.values()].map(c => ({
+      name: c.name,
+      hostPresent: !!c.hostSocketId,
+      streaming: c.streaming,
+      listeners: c.viewers.size,
+      httpListeners: c.feed?.clients.size || 0,
+      sources: sourceStats(c)
+    }))
+  }
+});
 
 // ─────────────────────────────────────────────────────────────
 // Utilities
 // ─────────────────────────────────────────────────────────────
-const isLocalhost = (req) => {
-  const ip = req.ip;
-  return ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1' || req.hostname === 'localhost';
+const isLocalAddress = (ip) => ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1';
+
+// Socket.IO and Express report IPv4 clients as IPv4-mapped IPv6 addresses
+const clientIp = (address = '') => address.replace(/^::ffff:/, '');
+
+// Only the peer address counts: the Host header is whatever the client chose to send
+const isLocalhost = (req) => isLocalAddress(req.ip);
+
+// Compare digests so the check takes the same time whatever the input length
+const safeEqual = (a, b) => {
+  const hash = (v) => crypto.createHash('sha256').update(String(v)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+};
+
+const createSession = (role, channel = null) => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const session = { role, channel, createdAt: Date.now() };
+  sessions.set(token, session);
+  return { token, role, channel, expiresAt: session.createdAt + SESSION_MAX_AGE };
+};
+
+/**
+ * RTCPeerConnection configuration handed to each client. With TURN_SECRET set,
+ * credentials follow the TURN REST API scheme: username is "<expiry>:<id>" and the
+ * password is base64(HMAC-SHA1(secret, username)), so they expire after TURN_TTL.
+ */
+const buildIceConfig = (id) => {
+  if (LAN_ONLY) return { iceServers: [] };
+
+  const iceServers = [];
+  if (STUN_URLS.length) iceServers.push({ urls: STUN_URLS });
+
+  if (TURN_URLS.length && TURN_SECRET) {
+    const username = `${Math.floor(Date.now() / 1000) + TURN_TTL}:${id}`;
+    const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+    iceServers.push({ urls: TURN_URLS, username, credential });
+  } else if (TURN_URLS.length) {
+    iceServers.push({ urls: TURN_URLS, username: TURN_USERNAME, credential: TURN_CREDENTIAL });
+  }
+
+  return { iceServers };
 };
 
+const describeIceMode = () => {
+  if (LAN_ONLY) return 'LAN only (no STUN/TURN)';
+  const parts = [];
+  if (STUN_URLS.length) parts.push(`STUN ${STUN_URLS.join(', ')}`);
+  if (TURN_URLS.length) parts.push(`TURN ${TURN_URLS.join(', ')}${TURN_SECRET ? ' (time-limited credentials)' : ''}`);
+  return parts.join(' + ') || 'host candidates only';
+};
+
+const tooManyAttempts = (ip) => {
+  const entry = loginAttempts.get(ip);
+  if (!entry || Date.now() - entry.firstAt > LOGIN_WINDOW) return false;
+  return entry.count >= LOGIN_MAX_ATTEMPTS;
+};
+
+const recordFailedAttempt = (ip) => {
+  const entry = loginAttempts.get(ip);
+  if (!entry || Date.now() - entry.firstAt > LOGIN_WINDOW) {
+    loginAttempts.set(ip, { count: 1, firstAt: Date.now() });
+  } else {
+    entry.count++;
+  }
+};
+
+// Bound to one address, the server is only reachable there; 0.0.0.0 / :: cover every interface
+const BINDS_ALL = ['0.0.0.0', '::'].includes(BIND_ADDRESS);
+const localUrl = () => `${SCHEME}://${BINDS_ALL ? 'localhost' : BIND_ADDRESS}:${PORT}`;
+
+// Where phones install the self-signed certificate; over plain HTTP when the redirect port is on
+const trustUrl = (address = 'localhost') => {
+  if (!tls?.selfSigned) return null;
+  return REDIRECT_PORT ? `http://${address}:${REDIRECT_PORT}/trust` : `https://${address}:${PORT}/trust`;
+};
+
+const mdnsUrl = () => (MDNS_HOST ? `${SCHEME}://${MDNS_HOST}:${PORT}` : null);
+
 const getNetworkAddresses = () => {
   const interfaces = os.networkInterfaces();
   const addresses = [];
   for (const name in interfaces) {
     for (const net of interfaces[name]) {
-      if (net.family === 'IPv4' && !net.internal) {
-        addresses.push({ interface: name, address: net.address, url: `http://${net.address}:${PORT}` });
+      if (net.family === 'IPv4' && !net.internal && (BINDS_ALL || net.address === BIND_ADDRESS)) {
+        addresses.push({ interface: name, address: net.address, url: `${SCHEME}://${net.address}:${PORT}` });
       }
     }
   }
   return addresses;
 };
 
-const broadcastStats = () => {
-  io.emit('stats', {
-    viewerCount: viewers.size,
-    hostPresent: !!hostSocketId,
-    viewerIds: [...viewers.keys()]
+const normalizeChannel = (name) => {
+  const slug = String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 32);
+  return slug || DEFAULT_CHANNEL;
+};
+
+const roomFor = (name) => `channel:${name}`;
+
+const getChannel = (name) => {
+  if (!channels.has(name)) {
+    channels.set(name, {
+      name,
+      hostSocketId: null,
+      streaming: false,
+      viewers: new Map(),
+      viewerStats: new Map(),
+      joinCode: null,
+      nowPlaying: null,
+      recording: null,
+      feed: null,
+      relay: null,
+      sources: DEFAULT_SOURCES,
+      broadcast: null,
+      playout: null,
+      tuning: { latency: AUDIO_DEFAULTS.latencyMs, bitrateKbps: AUDIO_DEFAULTS.bitrateKbps, syncMode: false },
+      sync: { enabled: false, targetMs: null, reports: new Map() },
+      chat: { enabled: true, slowModeSec: 0, messages: [], lastSent: new Map() },
+      talkback: { enabled: false },
+      createdAt: Date.now()
+    });
+  }
+  return channels.get(name);
+};
+
+// Drop channels nobody is using so the channel list doesn't grow forever
+const pruneChannel = (channel) => {
+  const room = io.sockets.adapter.rooms.get(roomFor(channel.name));
+  if (!channel.hostSocketId && !channel.playout && !channel.viewers.size && !room?.size) {
+    channels.delete(channel.name);
+  }
+};
+
+const isChannelPeer = (channel, socketId) =>
+  socketId === channel.hostSocketId || channel.viewers.has(socketId);
+
+const listenerCount = (channel) => channel.viewers.size + (channel.feed?.clients.size || 0);
+
+const isChannelFull = (channel) => MAX_LISTENERS > 0 && listenerCount(channel) >= MAX_LISTENERS;
+
+// Each published source with how many listeners are subscribed to it
+const sourceStats = (channel) => channel.sources.map(({ id, label }) => ({
+  id,
+  label,
+  listeners: [...channel.viewers.values()].filter(v => v.sources.includes(id)).length
+}));
+
+const channelStats = (channel) => ({
+  channel: channel.name,
+  viewerCount: channel.viewers.size,
+  hostPresent: !!channel.hostSocketId,
+  streaming: channel.streaming,
+  recording: !!channel.recording,
+  httpListenerCount: channel.feed?.clients.size || 0,
+  nowPlaying: channel.nowPlaying?.title || null,
+  codeRequired: !!channel.joinCode,
+  unattended: !!channel.playout,
+  sources: sourceStats(channel)
+});
+
+// Recompute the shared playout delay from fresh listener reports
+const updateSyncTarget = (channel) => {
+  const { sync } = channel;
+  const now = Date.now();
+  let slowest = 0;
+  for (const [id, report] of sync.reports) {
+    if (now - report.at > SYNC_REPORT_TTL || !channel.viewers.has(id)) sync.reports.delete(id);
+    else slowest = Math.max(slowest, report.minDelayMs);
+  }
+  if (!sync.reports.size) return;
+
+  const targetMs = Math.min(Math.round(slowest + SYNC_MARGIN_MS), SYNC_MAX_DELAY_MS);
+  if (sync.targetMs != null && Math.abs(targetMs - sync.targetMs) < SYNC_RETARGET_MS) return;
+
+  sync.targetMs = targetMs;
+  io.to(roomFor(channel.name)).emit('sync-target', { targetMs, effectiveAt: now + SYNC_APPLY_DELAY });
+};
+
+// Host-only view of the listeners; IPs and device details never go to other listeners
+const listenerDetails = (channel) => [...channel.viewers].map(([viewerId, v]) => ({
+  viewerId,
+  name: v.name,
+  device: v.device,
+  ip: v.ip,
+  since: v.createdAt,
+  muted: v.muted,
+  dataSaver: v.dataSaver,
+  talkback: v.talkback,
+  sources: v.sources
+}));
+
+const dropViewer = (channel, viewerId) => {
+  if (channel.viewers.delete(viewerId)) metrics.listenerLeft('webrtc');
+  channel.viewerStats.delete(viewerId);
+  channel.relay?.removeListener(viewerId);
+  if (channel.hostSocketId) io.to(channel.hostSocketId).emit('viewer-left', { viewerId });
+};
+
+// SFU mode: the server stands in for the host towards listeners, and for a listener towards the host.
+// Scheduled playout uses a relay too, in either mode, with the server as its only source.
+const startRelay = (channel) => {
+  stopRelay(channel);
+  channel.relay = relayModule().createRelay({
+    emit: (id, event, payload) => io.to(id).emit(event, payload),
+    sources: channel.sources.map(s => s.id)
+  });
+  return channel.relay;
+};
+
+const stopRelay = (channel) => {
+  channel.relay?.close();
+  channel.relay = null;
+};
+
+// Signaling addressed to the relay's peer ID; in SFU mode that ID is reserved even while no relay runs
+const isRelayPeer = (channel, id) => id === (channel.relay?.peerId ?? sfu?.SFU_PEER_ID);
+
+const relayCall = (promise, what) => Promise.resolve(promise).catch((e) => log.error(`SFU ${what} failed`, { error: e }));
+
+const broadcastStats = (channel) => {
+  channel.broadcast?.update(listenerCount(channel));
+  io.to(roomFor(channel.name)).emit('stats', {
+    ...channelStats(channel),
+    viewerIds: [...channel.viewers.keys()]
   });
+  if (channel.hostSocketId) io.to(channel.hostSocketId).emit('listeners', listenerDetails(channel));
+};
+
+const chatSettings = (channel) => ({
+  enabled: channel.chat.enabled,
+  slowModeSec: channel.chat.slowModeSec,
+  reactions: CHAT_REACTIONS,
+  maxLength: CHAT_MAX_LENGTH
+});
+
+// Talkback rides on the host's own peer connections, so the SFU relay can't carry it
+const talkbackSettings = (channel) => ({ enabled: !sfu && channel.talkback.enabled });
+
+/**
+ * Talkback state of one listener: idle -> requested (hand raised) -> granted (host approved,
+ * listener opening its mic) -> live (host renegotiates to receive the mic). Only one listener
+ * holds the floor at a time.
+ */
+const setTalkback = (channel, viewerId, state) => {
+  const viewer = channel.viewers.get(viewerId);
+  if (!viewer || viewer.talkback === state) return;
+  viewer.talkback = state;
+  io.to(viewerId).emit('talkback-state', { state });
+  if (channel.hostSocketId) io.to(channel.hostSocketId).emit('talkback-update', { viewerId, name: viewer.name, state });
+};
+
+// Ends talkback for every listener, or with `floorOnly` just takes the floor back and keeps raised hands queued
+const endTalkback = (channel, floorOnly = false) => {
+  channel.viewers.forEach((viewer, vid) => {
+    if (viewer.talkback === 'granted' || viewer.talkback === 'live' || (!floorOnly && viewer.talkback === 'requested')) {
+      setTalkback(channel, vid, 'idle');
+    }
+  });
+};
+
+const sendBans = (channel) => {
+  if (channel.hostSocketId) io.to(channel.hostSocketId).emit('bans', bans.filter(b => b.channel === channel.name));
 };
 
 // ─────────────────────────────────────────────────────────────
@@ -75,100 +461,923 @@ setInterval(() => {
   for (const [id, session] of sessions) {
     if (now - session.createdAt > SESSION_MAX_AGE) {
       sessions.delete(id);
+      for (const socket of io.sockets.sockets.values()) {
+        if (socket.data.sessionId === id) socket.disconnect(true);
+      }
     }
   }
+  for (const [ip, entry] of loginAttempts) {
+    if (now - entry.firstAt > LOGIN_WINDOW) loginAttempts.delete(ip);
+  }
 }, SESSION_CLEANUP_INTERVAL);
 
+// ─────────────────────────────────────────────────────────────
+// Recordings
+// ─────────────────────────────────────────────────────────────
+// Files are named "<channel>__<start ms>.<ext>" so the listing needs no extra index
+const RECORDING_NAME = /^([a-z0-9_-]+)__(\d+)\.(ogg|webm)$/;
+
+const startRecording = (channel, mimeType) => {
+  const ext = RECORDING_FORMATS[mimeType.split(';')[0]];
+  const startedAt = Date.now();
+  const id = `${channel.name}__${startedAt}.${ext}`;
+
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+  const stream = fs.createWriteStream(path.join(RECORDINGS_DIR, id));
+  stream.on('error', (e) => log.error('Recording failed', { channel: channel.name, recordingId: id, error: e }));
+
+  channel.recording = { id, stream, startedAt };
+  channel.broadcast?.addRecording(id);
+  log.info('⏺️  Recording', { channel: channel.name, recordingId: id });
+  return channel.recording;
+};
+
+const stopRecording = (channel) => {
+  const { recording } = channel;
+  if (!recording) return null;
+  channel.recording = null;
+  recording.stream.end();
+  log.info('💾 Recording saved', { channel: channel.name, recordingId: recording.id });
+  return recording;
+};
+
+const describeRecording = (id, stat) => {
+  const [, channel, startedAt, ext] = id.match(RECORDING_NAME);
+  return {
+    id,
+    channel,
+    format: ext,
+    size: stat.size,
+    startedAt: Number(startedAt),
+    durationMs: Math.max(0, stat.mtimeMs - Number(startedAt)),
+    inProgress: [...channels.values()].some(c => c.recording?.id === id)
+  };
+};
+
+const listRecordings = async () => {
+  let names;
+  try {
+    names = await fs.promises.readdir(RECORDINGS_DIR);
+  } catch {
+    return [];
+  }
+  const files = names.filter(name => RECORDING_NAME.test(name));
+  const stats = await Promise.all(files.map(name => fs.promises.stat(path.join(RECORDINGS_DIR, name))));
+  return files.map((name, i) => describeRecording(name, stats[i])).sort((a, b) => b.startedAt - a.startedAt);
+};
+
+// ─────────────────────────────────────────────────────────────
+// History
+// ─────────────────────────────────────────────────────────────
+// A broadcast runs from the host's first announce-streaming until it stops streaming or leaves
+const endBroadcast = (channel, reason) => {
+  const { broadcast } = channel;
+  if (!broadcast) return Promise.resolve(null);
+  channel.broadcast = null;
+  broadcast.update(listenerCount(channel));
+  return broadcast.end(reason).then((record) => {
+    log.info('📒 Broadcast saved', {
+      channel: channel.name,
+      broadcastId: record.id,
+      minutes: Math.round(record.durationMs / 60000),
+      peakListeners: record.listeners.peak
+    });
+    return record;
+  });
+};
+
+// ─────────────────────────────────────────────────────────────
+// HTTP Stream
+// ─────────────────────────────────────────────────────────────
+// Players can only start decoding at a WebM cluster or an Ogg page, so late joiners get
+// the container header followed by everything since the most recent boundary
+const STREAM_BOUNDARIES = {
+  webm: Buffer.from([0x1f, 0x43, 0xb6, 0x75]), // Cluster element ID
+  ogg: Buffer.from('OggS')
+};
+
+// Bytes of container header at the start of a feed, or -1 until all of it has arrived
+const headerLength = (buffer, format) => {
+  const boundary = STREAM_BOUNDARIES[format];
+  if (format === 'webm') return buffer.indexOf(boundary);
+  // Ogg Opus: the OpusHead and OpusTags pages come before the first audio page
+  let at = -1;
+  for (let page = 0; page < 3; page++) {
+    at = buffer.indexOf(boundary, at + 1);
+    if (at < 0) return -1;
+  }
+  return at;
+};
+
+const startFeed = (channel, mimeType) => {
+  stopFeed(channel);
+  const type = mimeType.split(';')[0];
+  channel.feed = { mimeType: type, format: RECORDING_FORMATS[type], header: null, tail: Buffer.alloc(0), clients: new Set() };
+  log.info('📻 HTTP stream', { channel: channel.name, mimeType: type });
+};
+
+const stopFeed = (channel) => {
+  const { feed } = channel;
+  if (!feed) return;
+  channel.feed = null;
+  feed.clients.forEach(res => res.end());
+};
+
+const sendToPlayer = (feed, res, data) => {
+  if (res.writableLength > STREAM_MAX_BUFFERED) {
+    feed.clients.delete(res);
+    res.destroy();
+    return;
+  }
+  res.write(data);
+};
+
+const writeFeed = (feed, data) => {
+  if (!feed.header) {
+    feed.tail = Buffer.concat([feed.tail, data]);
+    const length = headerLength(feed.tail, feed.format);
+    if (length < 0) return;
+    feed.header = feed.tail.subarray(0, length);
+    feed.tail = feed.tail.subarray(length);
+    feed.clients.forEach(res => sendToPlayer(feed, res, Buffer.concat([feed.header, feed.tail])));
+    return;
+  }
+
+  const boundary = data.lastIndexOf(STREAM_BOUNDARIES[feed.format]);
+  if (boundary >= 0) feed.tail = data.subarray(boundary);
+  else if (feed.tail.length < STREAM_MAX_TAIL) feed.tail = Buffer.concat([feed.tail, data]);
+  feed.clients.forEach(res => sendToPlayer(feed, res, data));
+};
+
+const addPlayer = (feed, res) => {
+  feed.clients.add(res);
+  if (feed.header) sendToPlayer(feed, res, Buffer.concat([feed.header, feed.tail]));
+};
+
+// ─────────────────────────────────────────────────────────────
+// Scheduled Broadcasts
+// ─────────────────────────────────────────────────────────────
+const listMedia = async () => {
+  let names;
+  try {
+    names = await fs.promises.readdir(MEDIA_DIR);
+  } catch {
+    return [];
+  }
+  const files = names.filter(name => MEDIA_FILE.test(name)).sort();
+  const stats = await Promise.all(files.map(name => fs.promises.stat(path.join(MEDIA_DIR, name))));
+  return files
+    .map((name, i) => ({ name, size: stats[i].size, playout: PLAYOUT_FILE.test(name) }))
+    .filter((_, i) => stats[i].isFile());
+};
+
+// What listeners count down to: the scheduled broadcast on air, or the next one due
+const sendUpcoming = (channel) => {
+  io.to(roomFor(channel.name)).emit('schedule-upcoming', scheduler.upcoming(channel.name));
+};
+
+// Tells the host console to go live; `playout` means the server is already playing the schedule's files
+const scheduleStart = (channel, { schedule, endsAt }) => ({
+  scheduleId: schedule.id,
+  title: schedule.title,
+  endsAt,
+  playout: channel.playout?.scheduleId === schedule.id
+});
+
+// No host console: the server plays the files to WebRTC listeners through a relay and to /stream players
+const startPlayout = (channel, schedule) => {
+  const playout = { scheduleId: schedule.id, title: schedule.title, player: null };
+  channel.playout = playout;
+  channel.streaming = true;
+  channel.broadcast = history.start({
+    channel: channel.name,
+    hostIp: null,
+    schedule: { id: schedule.id, title: schedule.title },
+    listeners: listenerCount(channel)
+  });
+  const relay = startRelay(channel);
+  startFeed(channel, 'audio/ogg');
+
+  playout.player = createPlayout({
+    files: schedule.files.map(name => path.join(MEDIA_DIR, name)),
+    onPacket: (packet, samples) => relay.sendOpus(packet, samples),
+    onOgg: (data) => channel.feed && writeFeed(channel.feed, data),
+    onTrack: (name) => {
+      channel.nowPlaying = { title: name, artist: schedule.title, artwork: '', updatedAt: Date.now(), scheduleId: schedule.id };
+      io.to(roomFor(channel.name)).emit('now-playing', channel.nowPlaying);
+      broadcastStats(channel);
+    },
+    onEnd: () => stopPlayout(channel, 'playlist-ended'),
+    onError: (e, name) => log.warn('Could not play media file', { channel: channel.name, file: name, error: e })
+  });
+
+  log.info('▶️  Scheduled playout', { channel: channel.name, scheduleId: schedule.id, files: schedule.files.length });
+  io.to(roomFor(channel.name)).emit('host-streaming');
+  broadcastStats(channel);
+};
+
+// Resolves once the broadcast's history record is saved
+const stopPlayout = (channel, reason) => {
+  const { playout } = channel;
+  if (!playout) return Promise.resolve(null);
+  channel.playout = null;
+  playout.player.stop();
+  stopRelay(channel);
+  stopFeed(channel);
+  channel.streaming = false;
+  if (channel.nowPlaying?.scheduleId === playout.scheduleId) {
+    channel.nowPlaying = null;
+    io.to(roomFor(channel.name)).emit('now-playing', null);
+  }
+  log.info('⏹️  Scheduled playout ended', { channel: channel.name, scheduleId: playout.scheduleId, reason });
+  const saved = endBroadcast(channel, reason);
+
+  if (channel.hostSocketId) {
+    channel.viewers.forEach((_, vid) => io.to(vid).emit('host-stopped'));
+  } else {
+    // Nobody is left to serve the listeners; they wait for the next broadcast as they would for a host
+    channel.viewers.forEach((_, vid) => io.to(vid).emit('host-left'));
+    metrics.listenerLeft('webrtc', channel.viewers.size);
+    channel.viewers.clear();
+    channel.viewerStats.clear();
+  }
+  broadcastStats(channel);
+  pruneChannel(channel);
+  return saved;
+};
+
+const scheduler = createScheduler({
+  file: SCHEDULES_FILE,
+  onStart: (schedule, run) => {
+    const channel = getChannel(schedule.channel);
+    log.info('⏰ Scheduled broadcast due', { channel: channel.name, scheduleId: schedule.id, title: schedule.title });
+    if (channel.hostSocketId) {
+      io.to(channel.hostSocketId).emit('schedule-start', scheduleStart(channel, { schedule, ...run }));
+    } else if (schedule.files.length) {
+      startPlayout(channel, schedule);
+    } else {
+      log.warn('⏰ No host console for scheduled broadcast', { channel: channel.name, scheduleId: schedule.id });
+    }
+    sendUpcoming(channel);
+    pruneChannel(channel);
+  },
+  onEnd: (schedule, reason) => {
+    const channel = channels.get(schedule.channel);
+    if (!channel) return;
+    if (channel.playout?.scheduleId === schedule.id) stopPlayout(channel, reason);
+    if (channel.hostSocketId) io.to(channel.hostSocketId).emit('schedule-stop', { scheduleId: schedule.id, reason });
+  },
+  onChange: (channelName) => {
+    const channel = channels.get(channelName);
+    if (channel) sendUpcoming(channel);
+  },
+  onMissed: (schedule) => log.warn('⏰ Missed scheduled broadcast', { channel: schedule.channel, scheduleId: schedule.id, title: schedule.title }),
+  onError: (e) => log.error('Scheduler error', { error: e })
+});
+
+// ─────────────────────────────────────────────────────────────
+// Bans
+// ─────────────────────────────────────────────────────────────
+let bansWrite = Promise.resolve();
+
+// Writes are chained so a burst of bans can't interleave on disk
+const saveBans = () => {
+  bansWrite = bansWrite
+    .then(() => fs.promises.writeFile(BANS_FILE, JSON.stringify({ bans }, null, 2)))
+    .catch((e) => log.error('Could not save bans', { error: e }));
+};
+
+// A ban matches the listener's IP or its device token, whichever it still has
+const findBan = (channelName, { ip, deviceId }) =>
+  bans.find(b => b.channel === channelName && ((ip && b.ip === ip) || (deviceId && b.deviceId === deviceId)));
+
+const addBan = (channelName, { ip, deviceId, name }) => {
+  const ban = { id: crypto.randomBytes(8).toString('hex'), channel: channelName, ip, deviceId, name, createdAt: Date.now() };
+  bans.push(ban);
+  saveBans();
+  log.info('⛔ Banned', { channel: channelName, name, ip });
+  return ban;
+};
+
+const removeBan = (channelName, id) => {
+  const index = bans.findIndex(b => b.id === id && b.channel === channelName);
+  if (index < 0) return false;
+  const [ban] = bans.splice(index, 1);
+  saveBans();
+  log.info('✅ Unbanned', { channel: channelName, name: ban.name, ip: ban.ip });
+  return true;
+};
+
 // ─────────────────────────────────────────────────────────────
 // Middleware
 // ─────────────────────────────────────────────────────────────
-const requireHostAccess = (req, res, next) => {
+// Browsers on the server itself are the host; anyone else needs a host session
+const hostOnly = (deny) => (req, res, next) => {
   if (isLocalhost(req)) return next();
 
   const sessionId = req.query.session || req.headers['x-session-id'];
   if (sessionId && sessions.get(sessionId)?.role === 'host') return next();
 
-  res.redirect('/listen');
+  deny(req, res);
 };
 
+const requireHostAccess = hostOnly((req, res) => res.redirect(`/login?channel=${normalizeChannel(req.params.channel)}`));
+
+// JSON/file routes answer 401 instead of redirecting
+const requireHostApi = hostOnly((_, res) => res.status(401).json({ error: 'Host session required' }));
+
+// Every socket needs a session token, except host consoles opened on the server itself
+io.use((socket, next) => {
+  const { token, role } = socket.handshake.auth || {};
+  const channelName = normalizeChannel(socket.handshake.query.channel);
+  const session = token ? sessions.get(token) : null;
+
+  if (role === 'host') {
+    if (session?.role === 'host' || isLocalAddress(socket.handshake.address)) {
+      socket.data.role = 'host';
+      socket.data.sessionId = session ? token : null;
+      return next();
+    }
+  } else if (session && (session.role === 'host' || session.channel === channelName)) {
+    if (findBan(channelName, { ip: clientIp(socket.handshake.address), deviceId: socket.handshake.auth?.deviceId })) {
+      return next(new Error('banned'));
+    }
+    socket.data.role = 'listener';
+    socket.data.sessionId = token;
+    return next();
+  }
+
+  next(new Error('unauthorized'));
+});
+
 app.use(express.static(path.join(__dirname, 'public'), { index: false }));
 
+// ─────────────────────────────────────────────────────────────
+// Event Policies
+// ─────────────────────────────────────────────────────────────
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isString = (v, max) => typeof v === 'string' && v.length > 0 && v.length <= max;
+const isNumber = (v, min, max) => typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+const isSocketId = (v) => isString(v, 64);
+
+const isSdp = (sdp, type) =>
+  isObject(sdp) && sdp.type === type && isString(sdp.sdp, 100000) && sdp.sdp.startsWith('v=0');
+
+const isCandidate = (c) =>
+  isObject(c) &&
+  typeof c.candidate === 'string' && c.candidate.length <= 1024 &&
+  (c.sdpMid == null || isString(c.sdpMid, 64)) &&
+  (c.sdpMLineIndex == null || (Number.isInteger(c.sdpMLineIndex) && c.sdpMLineIndex >= 0));
+
+// Numeric fields a listener may report, with their sane ranges
+const LISTENER_STAT_FIELDS = {
+  rttMs: [0, 60000],
+  jitterMs: [0, 60000],
+  bitrateKbps: [0, 10000],
+  lossPct: [0, 100],
+  concealedPct: [0, 100],
+  bufferMs: [0, 60000]
+};
+
+const isListenerStats = (p) =>
+  Object.entries(p).every(([key, value]) => LISTENER_STAT_FIELDS[key] && isNumber(value, ...LISTENER_STAT_FIELDS[key]));
+
+// Like isString, but missing or empty is fine
+const isOptionalText = (v, max) => v == null || (typeof v === 'string' && v.length <= max);
+
+const isSourceId = (v) => typeof v === 'string' && /^[a-z0-9-]{1,16}$/.test(v);
+
+// Sources a listener subscribes to: at least one, no repeats
+const isSubscription = (v) =>
+  Array.isArray(v) && v.length > 0 && v.length <= MAX_SOURCES && v.every(isSourceId) && new Set(v).size === v.length;
+
+// What the host publishes; the main mix always comes first
+const isSourceList = (v) =>
+  Array.isArray(v) && v.length > 0 && v.length <= MAX_SOURCES &&
+  v.every(s => isObject(s) && isSourceId(s.id) && isOptionalText(s.label, 40)) &&
+  v[0].id === MAIN_SOURCE && new Set(v.map(s => s.id)).size === v.length;
+
+// Offers say which source each m-line carries: { [mid]: sourceId }
+const isSourceMids = (v) =>
+  isObject(v) && Object.keys(v).length <= MAX_SOURCES &&
+  Object.entries(v).every(([mid, id]) => mid.length <= 16 && isSourceId(id));
+
+// Fields the handlers default only when left out, so null is refused rather than stored
+const isListenerProfile = (p) =>
+  (p.dataSaver === undefined || typeof p.dataSaver === 'boolean') &&
+  (p.sources === undefined || isSubscription(p.sources)) &&
+  isOptionalText(p.name, 32) &&
+  (p.device === undefined || isString(p.device, 32)) &&
+  (p.deviceId == null || isString(p.deviceId, 64));
+
+const isNowPlaying = (p) =>
+  isOptionalText(p.title, 200) &&
+  isOptionalText(p.artist, 200) &&
+  (p.artwork == null || p.artwork === '' || (isString(p.artwork, 2048) && /^https?:\/\//i.test(p.artwork)));
+
+const isChatText = (v) => typeof v === 'string' && v.trim().length > 0 && v.length <= CHAT_MAX_LENGTH;
+
+const TUNING_FIELDS = ['latency', 'bitrateKbps', 'syncMode'];
+
+const isTuneSettings = (p) =>
+  Object.keys(p).every(key => TUNING_FIELDS.includes(key)) &&
+  (p.latency == null || isNumber(p.latency, 0, 5000)) &&
+  (p.bitrateKbps == null || isNumber(p.bitrateKbps, 6, 510)) &&
+  (p.syncMode == null || typeof p.syncMode === 'boolean');
+
+/**
+ * Who may send each client event, what its payload must look like and how
+ * many times it may be sent per RATE_WINDOW. `who` is one of:
+ *   anyone        - any authenticated socket
+ *   host-role     - sockets authenticated as a host
+ *   channel-host  - the current host of the socket's channel
+ *   viewer        - a joined listener of the socket's channel
+ *   peer          - the channel host or one of its listeners
+ */
+const EVENT_POLICIES = {
+  'register-host': { who: 'host-role', limit: 5, validate: (p) => p.joinCode == null || isString(p.joinCode, 32) },
+  'set-join-code': { who: 'channel-host', limit: 10, validate: (p) => p.joinCode == null || typeof p.joinCode === 'string' && p.joinCode.length <= 32 },
+  'announce-streaming': { who: 'channel-host', limit: 10 },
+  'host-stopped-streaming': { who: 'channel-host', limit: 10 },
+  'viewer-join': { who: 'anyone', limit: 10, validate: isListenerProfile },
+  'listener-profile': { who: 'viewer', limit: 10, validate: isListenerProfile },
+  'webrtc-offer': {
+    who: 'channel-host',
+    limit: 200,
+    validate: (p) => isSocketId(p.viewerId) && isSdp(p.sdp, 'offer') &&
+      (p.iceRestart == null || typeof p.iceRestart === 'boolean') &&
+      (p.renegotiate == null || typeof p.renegotiate === 'boolean') &&
+      (p.sources === undefined || isSourceMids(p.sources))
+  },
+  'webrtc-answer': { who: 'viewer', limit: 30, validate: (p) => isSocketId(p.hostId) && isSdp(p.sdp, 'answer') },
+  'webrtc-ice-candidate': { who: 'peer', limit: 500, validate: (p) => isSocketId(p.targetId) && isCandidate(p.candidate) },
+  'listener-stats': { who: 'viewer', limit: 20, validate: isListenerStats },
+  'disconnect-viewer': { who: 'channel-host', limit: 30, validate: (p) => isSocketId(p.viewerId) },
+  'mute-viewer': { who: 'channel-host', limit: 30, validate: (p) => isSocketId(p.viewerId) && typeof p.muted === 'boolean' },
+  'ban-viewer': { who: 'channel-host', limit: 10, validate: (p) => isSocketId(p.viewerId) },
+  'unban': { who: 'channel-host', limit: 10, validate: (p) => isString(p.banId, 64) },
+  'tune-settings': { who: 'channel-host', limit: 20, validate: isTuneSettings },
+  'now-playing': { who: 'channel-host', limit: 20, validate: isNowPlaying },
+  'set-sources': { who: 'channel-host', limit: 20, validate: (p) => isSourceList(p.sources) },
+  'chat-message': { who: 'peer', limit: 20, validate: (p) => isChatText(p.text) },
+  'chat-reaction': { who: 'peer', limit: 30, validate: (p) => CHAT_REACTIONS.includes(p.emoji) },
+  'chat-delete': { who: 'channel-host', limit: 30, validate: (p) => isString(p.messageId, 32) },
+  'chat-settings': {
+    who: 'channel-host',
+    limit: 10,
+    validate: (p) => typeof p.enabled === 'boolean' && CHAT_SLOW_MODES.includes(p.slowModeSec)
+  },
+  'volume-request': { who: 'viewer', limit: 5, validate: (p) => p.direction === 'up' || p.direction === 'down' },
+  'talkback-settings': { who: 'channel-host', limit: 10, validate: (p) => typeof p.enabled === 'boolean' },
+  'talkback-request': { who: 'viewer', limit: 10, validate: (p) => typeof p.raised === 'boolean' },
+  'talkback-grant': { who: 'channel-host', limit: 30, validate: (p) => isSocketId(p.viewerId) && typeof p.granted === 'boolean' },
+  'talkback-ready': { who: 'viewer', limit: 10 },
+  'clock-ping': { who: 'anyone', limit: 30, validate: (p) => isNumber(p.t0, 0, Number.MAX_SAFE_INTEGER) },
+  'sync-report': { who: 'viewer', limit: 10, validate: (p) => isNumber(p.minDelayMs, 0, SYNC_MAX_DELAY_MS * 5) },
+  'recording-start': { who: 'channel-host', limit: 5, validate: (p) => isString(p.mimeType, 64) && !!RECORDING_FORMATS[p.mimeType.split(';')[0]] },
+  'recording-chunk': { who: 'channel-host', limit: 50, validate: (p) => Buffer.isBuffer(p.data) && p.data.length <= RECORDING_MAX_CHUNK },
+  'recording-stop': { who: 'channel-host', limit: 5 },
+  'feed-start': { who: 'channel-host', limit: 5, validate: (p) => isString(p.mimeType, 64) && !!RECORDING_FORMATS[p.mimeType.split(';')[0]] },
+  'feed-chunk': { who: 'channel-host', limit: 100, validate: (p) => Buffer.isBuffer(p.data) && p.data.length <= RECORDING_MAX_CHUNK },
+  'feed-stop': { who: 'channel-host', limit: 5 }
+};
+
+const isAllowed = (who, socket, channel) => {
+  switch (who) {
+    case 'anyone': return true;
+    case 'host-role': return socket.data.role === 'host';
+    case 'channel-host': return socket.id === channel.hostSocketId;
+    case 'viewer': return channel.viewers.has(socket.id);
+    case 'peer': return isChannelPeer(channel, socket.id);
+    default: return false;
+  }
+};
+
+const isRateLimited = (socket, event, limit) => {
+  const now = Date.now();
+  const rates = socket.data.rates || (socket.data.rates = new Map());
+  const entry = rates.get(event);
+  if (!entry || now - entry.windowStart > RATE_WINDOW) {
+    rates.set(event, { count: 1, windowStart: now });
+    return false;
+  }
+  return ++entry.count > limit;
+};
+
 // ─────────────────────────────────────────────────────────────
 // Socket.IO Events
 // ─────────────────────────────────────────────────────────────
 io.on('connection', (socket) => {
-  console.log('🔌 Connected:', socket.id);
+  const channel = getChannel(normalizeChannel(socket.handshake.query.channel));
+  const room = roomFor(channel.name);
+  const isHost = () => socket.id === channel.hostSocketId;
+
+  const socketLog = log.child({ channel: channel.name, socketId: socket.id });
+
+  socket.data.channel = channel.name;
+  socket.join(room);
+  socketLog.debug('🔌 Connected');
+  socket.emit('stats', { ...channelStats(channel), viewerIds: [...channel.viewers.keys()] });
+  socket.emit('ice-config', buildIceConfig(socket.id));
+  if (channel.nowPlaying) socket.emit('now-playing', channel.nowPlaying);
+  socket.emit('chat-history', { messages: channel.chat.messages, settings: chatSettings(channel) });
+  socket.emit('talkback-settings', talkbackSettings(channel));
+  socket.emit('schedule-upcoming', scheduler.upcoming(channel.name));
+
+  // Re-issue TURN credentials before the ones handed out above expire
+  const iceRefresh = TURN_SECRET && !LAN_ONLY
+    ? setInterval(() => socket.emit('ice-config', buildIceConfig(socket.id)), (TURN_TTL * 1000) / 2)
+    : null;
+
+  const reject = (event, code, message) => {
+    socketLog.warn('🚫 Rejected', { event, code });
+    metrics.signalingRejected(event, code);
+    socket.emit('signal-error', { event, code, message });
+  };
 
-  socket.on('register-host', () => {
-    if (hostSocketId && hostSocketId !== socket.id) {
-      console.log('⚠️  Replacing host:', hostSocketId);
+  // Registers a handler that only runs once the event's policy is satisfied
+  const on = (event, handler) => {
+    const { who, limit, validate } = EVENT_POLICIES[event];
+    socket.on(event, (payload) => {
+      metrics.signalingMessage(event);
+      if (payload == null) payload = {};
+      if (isRateLimited(socket, event, limit)) return reject(event, 'rate-limited', 'Too many requests');
+      if (!isAllowed(who, socket, channel)) return reject(event, 'forbidden', 'Not permitted');
+      if (!isObject(payload) || (validate && !validate(payload))) {
+        return reject(event, 'invalid-payload', 'Malformed payload');
+      }
+      handler(payload);
+    });
+  };
+
+  on('register-host', ({ joinCode }) => {
+    if (channel.hostSocketId && channel.hostSocketId !== socket.id) {
+      socketLog.info('⚠️  Replacing host', { previousHost: channel.hostSocketId });
+      io.to(channel.hostSocketId).emit('host-replaced');
+      endBroadcast(channel, 'host-replaced');
     }
-    hostSocketId = socket.id;
-    console.log('🎙️  Host registered:', socket.id);
-    socket.emit('host-confirmed');
-    broadcastStats();
+    channel.hostSocketId = socket.id;
+    channel.streaming = !!channel.playout;
+    channel.joinCode = joinCode ? String(joinCode).trim() || null : null;
+    socketLog.info('🎙️  Host registered');
+    metrics.hostRegistered();
+    socket.emit('host-confirmed', { channel: channel.name, relayMode: RELAY_MODE, audio: AUDIO_DEFAULTS });
+    // A console that connects during a scheduled slot is asked to go live for the rest of it
+    const run = scheduler.active(channel.name);
+    if (run) socket.emit('schedule-start', scheduleStart(channel, run));
+    broadcastStats(channel);
+    sendBans(channel);
+  });
+
+  on('set-join-code', ({ joinCode }) => {
+    channel.joinCode = joinCode ? String(joinCode).trim() || null : null;
+    socket.emit('join-code-updated', { codeRequired: !!channel.joinCode });
+    broadcastStats(channel);
   });
 
-  socket.on('announce-streaming', () => {
-    if (socket.id !== hostSocketId) return;
-    viewers.forEach((_, vid) => io.to(hostSocketId).emit('viewer-joined', { viewerId: vid }));
-    io.emit('host-streaming');
+  on('announce-streaming', () => {
+    // Going live takes over from scheduled playout
+    stopPlayout(channel, 'host-took-over');
+    channel.streaming = true;
+    if (!channel.broadcast) {
+      const schedule = scheduler.active(channel.name)?.schedule;
+      channel.broadcast = history.start({
+        channel: channel.name,
+        hostIp: clientIp(socket.handshake.address),
+        schedule: schedule ? { id: schedule.id, title: schedule.title } : null,
+        listeners: listenerCount(channel)
+      });
+      channel.viewers.forEach(({ deviceId }, vid) => channel.broadcast.listenerSeen(deviceId || vid));
+    }
+    if (sfu) {
+      // The host connects to the relay as if it were its only listener
+      const relay = startRelay(channel);
+      socket.emit('viewer-joined', { viewerId: sfu.SFU_PEER_ID });
+      channel.viewers.forEach(({ muted, sources }, vid) => relayCall(relay.addListener(vid, { muted, sources }), 'listener offer'));
+    } else {
+      channel.viewers.forEach(({ dataSaver, muted, sources }, vid) => socket.emit('viewer-joined', { viewerId: vid, dataSaver, muted, sources }));
+    }
+    socket.to(room).emit('host-streaming');
+    broadcastStats(channel);
   });
 
-  socket.on('host-stopped-streaming', () => {
-    if (socket.id !== hostSocketId) return;
-    console.log('⏹️  Host stopped streaming');
-    viewers.forEach((_, vid) => io.to(vid).emit('host-stopped'));
+  on('host-stopped-streaming', () => {
+    socketLog.info('⏹️  Host stopped streaming');
+    channel.streaming = false;
+    if (sfu) stopRelay(channel);
+    stopFeed(channel);
+    endTalkback(channel);
+    channel.sources = DEFAULT_SOURCES;
+    endBroadcast(channel, 'stopped');
+    channel.viewers.forEach((_, vid) => io.to(vid).emit('host-stopped'));
+    broadcastStats(channel);
   });
 
-  socket.on('viewer-join', () => {
-    if (!hostSocketId) return socket.emit('no-host');
-    viewers.set(socket.id, { createdAt: Date.now() });
-    io.to(hostSocketId).emit('viewer-joined', { viewerId: socket.id });
-    broadcastStats();
+  on('viewer-join', ({ dataSaver = false, name, device = 'Unknown device', deviceId = null, sources = [MAIN_SOURCE] }) => {
+    if (!channel.hostSocketId && !channel.playout) return socket.emit('no-host');
+    const ip = clientIp(socket.handshake.address);
+    if (findBan(channel.name, { ip, deviceId })) {
+      socket.emit('banned');
+      return socket.disconnect(true);
+    }
+    if (!channel.viewers.has(socket.id) && isChannelFull(channel)) {
+      return reject('viewer-join', 'channel-full', 'This channel is full');
+    }
+    // A rejoin over the same socket keeps the host's mute, but a fresh connection has no talkback
+    const muted = channel.viewers.get(socket.id)?.muted || false;
+    if (!channel.viewers.has(socket.id)) metrics.listenerJoined('webrtc');
+    channel.broadcast?.listenerSeen(deviceId || socket.id);
+    setTalkback(channel, socket.id, 'idle');
+    channel.viewers.set(socket.id, {
+      createdAt: Date.now(), dataSaver, muted, ip, device, deviceId, name: name?.trim() || 'Listener', talkback: 'idle', sources
+    });
+    if (channel.relay) relayCall(channel.relay.addListener(socket.id, { muted, sources }), 'listener offer');
+    else if (!sfu) io.to(channel.hostSocketId).emit('viewer-joined', { viewerId: socket.id, dataSaver, muted, sources });
+    // Late joiners pick up the host's current tuning and sync target
+    socket.emit('tune-settings', channel.tuning);
+    if (channel.sync.enabled && channel.sync.targetMs != null) {
+      socket.emit('sync-target', { targetMs: channel.sync.targetMs, effectiveAt: Date.now() });
+    }
+    broadcastStats(channel);
   });
 
-  socket.on('webrtc-offer', ({ viewerId, sdp }) => {
-    io.to(viewerId).emit('webrtc-offer', { sdp, hostId: socket.id });
+  // renegotiate: same connection, new Opus parameters (e.g. FEC turned on for a lossy link) or sources added
+  on('webrtc-offer', ({ viewerId, sdp, iceRestart = false, renegotiate = false, sources = {} }) => {
+    if (isRelayPeer(channel, viewerId)) {
+      if (!channel.relay) return reject('webrtc-offer', 'unknown-target', 'Relay not running');
+      return relayCall(channel.relay.acceptHostOffer(socket.id, sdp, { iceRestart, renegotiate, sources }), 'host answer');
+    }
+    if (!channel.viewers.has(viewerId)) return reject('webrtc-offer', 'unknown-target', 'Listener not in channel');
+    io.to(viewerId).emit('webrtc-offer', { sdp, hostId: socket.id, iceRestart, renegotiate, sources });
   });
 
-  socket.on('webrtc-answer', ({ hostId, sdp }) => {
+  on('webrtc-answer', ({ hostId, sdp }) => {
+    if (isRelayPeer(channel, hostId)) {
+      if (!channel.relay) return reject('webrtc-answer', 'unknown-target', 'Relay not running');
+      return relayCall(channel.relay.acceptListenerAnswer(socket.id, sdp), 'listener answer');
+    }
+    if (hostId !== channel.hostSocketId) return reject('webrtc-answer', 'unknown-target', 'Not the channel host');
     io.to(hostId).emit('webrtc-answer', { sdp, viewerId: socket.id });
   });
 
-  socket.on('webrtc-ice-candidate', ({ targetId, candidate }) => {
-    if (targetId) io.to(targetId).emit('webrtc-ice-candidate', { candidate, from: socket.id });
+  on('webrtc-ice-candidate', ({ targetId, candidate }) => {
+    if (isRelayPeer(channel, targetId)) {
+      return relayCall(channel.relay?.addIceCandidate(socket.id, candidate), 'ICE candidate');
+    }
+    if (targetId === socket.id || !isChannelPeer(channel, targetId)) {
+      return reject('webrtc-ice-candidate', 'unknown-target', 'Target not in channel');
+    }
+    io.to(targetId).emit('webrtc-ice-candidate', { candidate, from: socket.id });
+  });
+
+  on('listener-stats', (payload) => {
+    if (!channel.hostSocketId && !channel.playout) return;
+    channel.viewerStats.set(socket.id, { ...payload, timestamp: Date.now() });
+    metrics.listenerStats(payload);
+    channel.broadcast?.addStats(payload);
+    if (channel.hostSocketId) io.to(channel.hostSocketId).emit('listener-stats', { viewerId: socket.id, ...payload });
+  });
+
+  // Source changes reach the host (or relay), which only sends a listener the tracks it subscribed to
+  on('listener-profile', ({ dataSaver, name, sources }) => {
+    const viewer = channel.viewers.get(socket.id);
+    if (dataSaver != null) viewer.dataSaver = dataSaver;
+    if (name != null) viewer.name = name.trim() || 'Listener';
+    if (sources != null) {
+      viewer.sources = sources;
+      channel.relay?.setSubscription(socket.id, sources);
+    }
+    if (channel.hostSocketId) {
+      io.to(channel.hostSocketId).emit('listener-profile', { viewerId: socket.id, dataSaver: viewer.dataSaver, sources: viewer.sources });
+    }
+    broadcastStats(channel);
+  });
+
+  // Kicked listeners stay connected but out of the channel; they can rejoin by hand unless banned
+  on('disconnect-viewer', ({ viewerId }) => {
+    if (!channel.viewers.has(viewerId)) return reject('disconnect-viewer', 'unknown-target', 'Listener not in channel');
+    socketLog.info('👢 Kicked', { viewerId });
+    io.to(viewerId).emit('disconnect-request');
+    dropViewer(channel, viewerId);
+    broadcastStats(channel);
+  });
+
+  // The host pauses its sender for this listener; the server only keeps the flag and tells the listener
+  on('mute-viewer', ({ viewerId, muted }) => {
+    const viewer = channel.viewers.get(viewerId);
+    if (!viewer) return reject('mute-viewer', 'unknown-target', 'Listener not in channel');
+    viewer.muted = muted;
+    channel.relay?.setMuted(viewerId, muted);
+    io.to(viewerId).emit('muted-by-host', { muted });
+    socket.emit('viewer-muted', { viewerId, muted });
+    broadcastStats(channel);
   });
 
-  socket.on('listener-stats', (payload) => {
-    if (!hostSocketId) return;
-    viewerStats.set(socket.id, { ...payload, timestamp: Date.now() });
-    io.to(hostSocketId).emit('listener-stats', { viewerId: socket.id, ...payload });
+  on('ban-viewer', ({ viewerId }) => {
+    const viewer = channel.viewers.get(viewerId);
+    if (!viewer) return reject('ban-viewer', 'unknown-target', 'Listener not in channel');
+    addBan(channel.name, viewer);
+    io.to(viewerId).emit('banned');
+    dropViewer(channel, viewerId);
+    io.sockets.sockets.get(viewerId)?.disconnect(true);
+    sendBans(channel);
+    broadcastStats(channel);
   });
 
-  socket.on('disconnect-viewer', ({ viewerId }) => {
-    if (viewers.has(viewerId)) io.to(viewerId).emit('disconnect-request');
+  on('unban', ({ banId }) => {
+    if (!removeBan(channel.name, banId)) return reject('unban', 'unknown-target', 'No such ban');
+    sendBans(channel);
   });
 
-  socket.on('tune-settings', (payload) => {
-    if (socket.id !== hostSocketId) return;
-    io.emit('tune-settings', payload);
+  // Hosts send only what they changed; the rest of the tuning (e.g. the configured bitrate) stays
+  on('tune-settings', ({ latency, bitrateKbps, syncMode }) => {
+    const { tuning } = channel;
+    channel.tuning = {
+      latency: latency ?? tuning.latency,
+      bitrateKbps: bitrateKbps ?? tuning.bitrateKbps,
+      syncMode: syncMode ?? tuning.syncMode
+    };
+    if (channel.tuning.syncMode !== channel.sync.enabled) {
+      channel.sync = { enabled: channel.tuning.syncMode, targetMs: null, reports: new Map() };
+    }
+    io.to(room).emit('tune-settings', channel.tuning);
+  });
+
+  // isNowPlaying lets null through for any field, as a way of clearing it
+  on('now-playing', ({ title, artist, artwork }) => {
+    title = (title ?? '').trim();
+    artist = (artist ?? '').trim();
+    channel.nowPlaying = title || artist ? { title, artist, artwork: (artwork ?? '').trim(), updatedAt: Date.now() } : null;
+    socketLog.info('🎵 Now playing', { nowPlaying: channel.nowPlaying ? [artist, title].filter(Boolean).join(' - ') : null });
+    io.to(room).emit('now-playing', channel.nowPlaying);
+    broadcastStats(channel);
+  });
+
+  // Listeners learn about sources (and relabels) from the stats broadcast
+  on('set-sources', ({ sources }) => {
+    channel.sources = sources.map(({ id, label }) => ({ id, label: label?.trim() || id }));
+    socketLog.info('🎚️  Sources', { sources: channel.sources.map(s => s.id) });
+    if (channel.relay) relayCall(channel.relay.setSources(channel.sources.map(s => s.id)), 'source renegotiation');
+    broadcastStats(channel);
+  });
+
+  const authorName = () => (isHost() ? 'Host' : channel.viewers.get(socket.id)?.name || 'Listener');
+
+  on('chat-message', ({ text }) => {
+    const { chat } = channel;
+    if (!isHost()) {
+      if (!chat.enabled) return reject('chat-message', 'chat-disabled', 'Chat is turned off');
+      const wait = chat.slowModeSec * 1000 - (Date.now() - (chat.lastSent.get(socket.id) || 0));
+      if (wait > 0) return reject('chat-message', 'slow-mode', `Slow mode: wait ${Math.ceil(wait / 1000)}s`);
+      chat.lastSent.set(socket.id, Date.now());
+    }
+    const message = {
+      id: crypto.randomBytes(6).toString('hex'),
+      from: isHost() ? 'host' : 'listener',
+      author: authorName(),
+      text: text.trim(),
+      sentAt: Date.now()
+    };
+    chat.messages.push(message);
+    if (chat.messages.length > CHAT_HISTORY) chat.messages.shift();
+    io.to(room).emit('chat-message', message);
+  });
+
+  on('chat-reaction', ({ emoji }) => {
+    if (!isHost() && !channel.chat.enabled) return reject('chat-reaction', 'chat-disabled', 'Chat is turned off');
+    io.to(room).emit('chat-reaction', { emoji, author: authorName() });
+  });
+
+  on('chat-delete', ({ messageId }) => {
+    const { messages } = channel.chat;
+    const index = messages.findIndex(m => m.id === messageId);
+    if (index < 0) return reject('chat-delete', 'unknown-target', 'No such message');
+    messages.splice(index, 1);
+    io.to(room).emit('chat-deleted', { messageId });
+  });
+
+  on('chat-settings', ({ enabled, slowModeSec }) => {
+    Object.assign(channel.chat, { enabled, slowModeSec });
+    socketLog.info('💬 Chat settings', { enabled, slowModeSec });
+    io.to(room).emit('chat-settings', chatSettings(channel));
+  });
+
+  on('volume-request', ({ direction }) => {
+    if (!channel.hostSocketId) return;
+    io.to(channel.hostSocketId).emit('volume-request', { viewerId: socket.id, name: authorName(), direction });
+  });
+
+  on('talkback-settings', ({ enabled }) => {
+    channel.talkback.enabled = enabled;
+    if (!enabled) endTalkback(channel);
+    socketLog.info('🙋 Talkback settings', { enabled });
+    io.to(room).emit('talkback-settings', talkbackSettings(channel));
+    broadcastStats(channel);
+  });
+
+  // Raising a hand asks for the floor; lowering it also hands the floor back
+  on('talkback-request', ({ raised }) => {
+    const viewer = channel.viewers.get(socket.id);
+    if (!raised) setTalkback(channel, socket.id, 'idle');
+    else if (!talkbackSettings(channel).enabled) return reject('talkback-request', 'talkback-disabled', 'Talkback is turned off');
+    else if (viewer.talkback === 'idle') setTalkback(channel, socket.id, 'requested');
+    broadcastStats(channel);
+  });
+
+  on('talkback-grant', ({ viewerId, granted }) => {
+    if (!channel.viewers.has(viewerId)) return reject('talkback-grant', 'unknown-target', 'Listener not in channel');
+    if (granted && !talkbackSettings(channel).enabled) return reject('talkback-grant', 'talkback-disabled', 'Talkback is turned off');
+    const { talkback } = channel.viewers.get(viewerId);
+    if (granted && talkback === 'idle') return reject('talkback-grant', 'not-requested', 'Listener has not asked to speak');
+    if (granted && talkback !== 'requested') return; // already holds the floor
+    if (granted) endTalkback(channel, true);
+    setTalkback(channel, viewerId, granted ? 'granted' : 'idle');
+    broadcastStats(channel);
+  });
+
+  // The listener's mic is open; the host renegotiates to start receiving it
+  on('talkback-ready', () => {
+    if (channel.viewers.get(socket.id).talkback !== 'granted') return reject('talkback-ready', 'not-granted', 'You do not have the floor');
+    setTalkback(channel, socket.id, 'live');
+    broadcastStats(channel);
+  });
+
+  // NTP-style exchange: the client works out its clock offset from t0, serverTime and its receive time
+  on('clock-ping', ({ t0 }) => {
+    socket.emit('clock-pong', { t0, serverTime: Date.now() });
+  });
+
+  on('sync-report', ({ minDelayMs }) => {
+    if (!channel.sync.enabled) return;
+    channel.sync.reports.set(socket.id, { minDelayMs, at: Date.now() });
+    updateSyncTarget(channel);
+  });
+
+  on('recording-start', ({ mimeType }) => {
+    if (channel.recording) return reject('recording-start', 'already-recording', 'Already recording');
+    const { id, startedAt } = startRecording(channel, mimeType);
+    socket.emit('recording-started', { id, startedAt });
+    broadcastStats(channel);
+  });
+
+  on('recording-chunk', ({ data }) => {
+    if (!channel.recording) return reject('recording-chunk', 'not-recording', 'No recording in progress');
+    channel.recording.stream.write(data);
+  });
+
+  on('recording-stop', () => {
+    const recording = stopRecording(channel);
+    if (!recording) return;
+    recording.stream.once('finish', () => socket.emit('recording-saved', { id: recording.id }));
+    broadcastStats(channel);
+  });
+
+  on('feed-start', ({ mimeType }) => {
+    startFeed(channel, mimeType);
+    broadcastStats(channel);
+  });
+
+  on('feed-chunk', ({ data }) => {
+    if (!channel.feed) return reject('feed-chunk', 'not-streaming', 'HTTP stream not started');
+    writeFeed(channel.feed, data);
+  });
+
+  on('feed-stop', () => {
+    stopFeed(channel);
+    broadcastStats(channel);
   });
 
   socket.on('disconnect', () => {
-    if (socket.id === hostSocketId) {
-      console.log('❌ Host disconnected');
-      hostSocketId = null;
-      viewers.forEach((_, vid) => io.to(vid).emit('host-left'));
-      viewers.clear();
-      viewerStats.clear();
-    } else if (viewers.has(socket.id)) {
-      console.log('👋 Viewer left:', socket.id);
-      viewers.delete(socket.id);
-      viewerStats.delete(socket.id);
-      if (hostSocketId) io.to(hostSocketId).emit('viewer-left', { viewerId: socket.id });
+    clearInterval(iceRefresh);
+    if (isHost()) {
+      socketLog.info('❌ Host disconnected');
+      stopRecording(channel);
+      channel.hostSocketId = null;
+      channel.joinCode = null;
+      channel.talkback.enabled = false;
+      io.to(room).emit('talkback-settings', talkbackSettings(channel));
+      channel.sync.reports.clear();
+      channel.sources = DEFAULT_SOURCES;
+      // Scheduled playout carries on with its listeners; anything else ends with the host
+      if (!channel.playout) {
+        stopFeed(channel);
+        if (sfu) stopRelay(channel);
+        endBroadcast(channel, 'host-left');
+        channel.streaming = false;
+        channel.nowPlaying = null;
+        io.to(room).emit('now-playing', null);
+        channel.viewers.forEach((_, vid) => io.to(vid).emit('host-left'));
+        metrics.listenerLeft('webrtc', channel.viewers.size);
+        channel.viewers.clear();
+        channel.viewerStats.clear();
+      }
+    } else if (channel.viewers.has(socket.id)) {
+      socketLog.info('👋 Viewer left');
+      dropViewer(channel, socket.id);
+      channel.chat.lastSent.delete(socket.id);
     }
-    broadcastStats();
+    broadcastStats(channel);
+    pruneChannel(channel);
   });
 });
 
@@ -176,49 +1385,406 @@ io.on('connection', (socket) => {
 // Routes
 // ─────────────────────────────────────────────────────────────
 app.get('/network-info', (_, res) => {
-  res.json({ addresses: getNetworkAddresses(), localUrl: `http://localhost:${PORT}` });
+  const addresses = getNetworkAddresses();
+  res.json({
+    addresses,
+    localUrl: localUrl(),
+    trustUrl: trustUrl(addresses[0]?.address),
+    mdns: MDNS_HOST ? { name: MDNS_HOST, url: mdnsUrl() } : null
+  });
+});
+
+// QR code for a share URL, so phones can scan it off the host console
+app.get('/qr.svg', async (req, res) => {
+  const text = String(req.query.text || '');
+  if (!text || text.length > QR_MAX_TEXT) return res.status(400).json({ error: `text must be 1-${QR_MAX_TEXT} characters` });
+  try {
+    const svg = await QRCode.toString(text, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type('image/svg+xml').send(svg);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.post('/auth/host', (req, res) => {
+  const ip = req.ip;
+  if (tooManyAttempts(ip)) return res.status(429).json({ error: 'Too many attempts, try again later' });
+
+  const { password } = req.body || {};
+  if (!password || !safeEqual(password, HOST_PASSWORD || HOST_PIN)) {
+    recordFailedAttempt(ip);
+    return res.status(401).json({ error: 'Invalid password' });
+  }
+
+  loginAttempts.delete(ip);
+  log.info('🔑 Host session issued', { ip });
+  res.json(createSession('host'));
+});
+
+app.post('/auth/listen', (req, res) => {
+  const ip = req.ip;
+  if (tooManyAttempts(ip)) return res.status(429).json({ error: 'Too many attempts, try again later' });
+
+  const channelName = normalizeChannel(req.body?.channel);
+  const joinCode = channels.get(channelName)?.joinCode;
+  const { code, deviceId } = req.body || {};
+  if (findBan(channelName, { ip: clientIp(ip), deviceId })) return res.status(403).json({ error: 'Banned from this channel' });
+
+  if (joinCode && !(code && safeEqual(String(code).trim(), joinCode))) {
+    if (code) recordFailedAttempt(ip);
+    return res.status(401).json({ error: code ? 'Wrong join code' : 'Join code required', codeRequired: true });
+  }
+
+  res.json(createSession('listener', channelName));
+});
+
+app.post('/auth/logout', (req, res) => {
+  const token = req.body?.token || req.headers['x-session-id'];
+  if (token) sessions.delete(token);
+  res.json({ ok: true });
+});
+
+app.get('/channels', (_, res) => {
+  res.json({ channels: [...channels.values()].map(channelStats) });
 });
 
 app.get('/stats', (_, res) => {
-  res.json({ viewerCount: viewers.size, hostPresent: !!hostSocketId, uptime: process.uptime() });
+  const all = [...channels.values()];
+  res.json({
+    viewerCount: all.reduce((n, c) => n + c.viewers.size, 0),
+    hostCount: all.filter(c => c.hostSocketId).length,
+    channels: all.map(channelStats),
+    uptime: process.uptime()
+  });
+});
+
+app.get('/stats/:channel', (req, res) => {
+  const channel = channels.get(normalizeChannel(req.params.channel));
+  if (!channel) return res.status(404).json({ error: 'Unknown channel' });
+  res.json({ ...channelStats(channel), uptime: process.uptime() });
+});
+
+app.get('/recordings', requireHostApi, async (_, res) => {
+  res.json({ recordings: await listRecordings() });
+});
+
+app.get('/recordings/:id', requireHostApi, (req, res) => {
+  const match = req.params.id.match(RECORDING_NAME);
+  if (!match) return res.status(404).json({ error: 'Unknown recording' });
+
+  const [, channel, startedAt, ext] = match;
+  const stamp = new Date(Number(startedAt)).toISOString().replace(/[:.]/g, '-');
+  res.download(path.join(RECORDINGS_DIR, req.params.id), `${channel}-${stamp}.${ext}`, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Unknown recording' });
+  });
+});
+
+app.delete('/recordings/:id', requireHostApi, async (req, res) => {
+  const { id } = req.params;
+  if (!RECORDING_NAME.test(id)) return res.status(404).json({ error: 'Unknown recording' });
+  if ([...channels.values()].some(c => c.recording?.id === id)) {
+    return res.status(409).json({ error: 'Recording in progress' });
+  }
+  try {
+    await fs.promises.unlink(path.join(RECORDINGS_DIR, id));
+    log.info('🗑️  Recording deleted', { recordingId: id });
+    res.json({ ok: true });
+  } catch {
+    res.status(404).json({ error: 'Unknown recording' });
+  }
+});
+
+// Broadcast history: the page, then JSON and CSV for the host console and spreadsheets
+app.get('/history', requireHostAccess, (_, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'history.html'));
+});
+
+app.get('/history/sessions', requireHostApi, async (req, res) => {
+  const channel = req.query.channel ? normalizeChannel(req.query.channel) : null;
+  res.json({ sessions: await history.list({ channel }) });
+});
+
+app.get('/history/sessions.csv', requireHostApi, async (req, res) => {
+  const channel = req.query.channel ? normalizeChannel(req.query.channel) : null;
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set('Content-Disposition', `attachment; filename="broadcast-history-${channel || 'all'}-${stamp}.csv"`);
+  res.type('text/csv').send(history.toCsv(await history.list({ channel })));
+});
+
+app.get('/history/sessions/:id', requireHostApi, async (req, res) => {
+  const record = await history.get(req.params.id);
+  if (!record) return res.status(404).json({ error: 'Unknown broadcast' });
+  res.json(record);
+});
+
+app.delete('/history/sessions/:id', requireHostApi, async (req, res) => {
+  try {
+    if (!(await history.remove(req.params.id))) return res.status(404).json({ error: 'Unknown broadcast' });
+  } catch (e) {
+    return res.status(409).json({ error: e.message });
+  }
+  log.info('🗑️  Broadcast deleted', { broadcastId: req.params.id });
+  res.json({ ok: true });
+});
+
+// Media folder: listed for schedules and playlists, and served to host consoles for playlists
+app.get('/media', requireHostApi, async (_, res) => {
+  res.json({ files: await listMedia() });
+});
+
+app.get('/media/:name', requireHostApi, (req, res) => {
+  if (!MEDIA_FILE.test(req.params.name)) return res.status(404).json({ error: 'Unknown media file' });
+  res.sendFile(req.params.name, { root: MEDIA_DIR }, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Unknown media file' });
+  });
 });
 
+// Scheduled broadcasts
+
+app.get('/schedules', requireHostApi, (req, res) => {
+  const channel = req.query.channel ? normalizeChannel(req.query.channel) : null;
+  res.json({ schedules: scheduler.list({ channel }) });
+});
+
+app.post('/schedules', requireHostApi, async (req, res) => {
+  const { files = [], ...body } = req.body || {};
+  try {
+    const available = new Set((await listMedia()).filter(f => f.playout).map(f => f.name));
+    const missing = Array.isArray(files) ? files.filter(f => !available.has(f)) : [];
+    if (missing.length) return res.status(400).json({ error: `Unknown media file${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` });
+    const schedule = scheduler.add({ ...body, files, channel: normalizeChannel(body.channel) });
+    log.info('⏰ Broadcast scheduled', { channel: schedule.channel, scheduleId: schedule.id, title: schedule.title, startAt: schedule.startAt, repeat: schedule.repeat });
+    res.status(201).json(schedule);
+  } catch (e) {
+    if (e instanceof ScheduleError) return res.status(400).json({ error: e.message });
+    // Express 4 doesn't see rejections from async handlers, so answer here rather than leave the request hanging
+    log.error('Could not add schedule', { error: e });
+    res.status(500).json({ error: 'Could not add schedule' });
+  }
+});
+
+app.delete('/schedules/:id', requireHostApi, (req, res) => {
+  if (!scheduler.remove(req.params.id)) return res.status(404).json({ error: 'Unknown schedule' });
+  log.info('🗑️  Schedule cancelled', { scheduleId: req.params.id });
+  res.json({ ok: true });
+});
+
+// Icecast-style stream for VLC, smart speakers and browsers without WebRTC.
+// The extension is cosmetic (players like /stream/main.ogg); the host's recorder decides the format.
+app.get(['/stream', '/stream/:channel'], (req, res) => {
+  const channel = channels.get(normalizeChannel(req.params.channel?.replace(/\.(ogg|webm)$/, '')));
+  const feed = channel?.feed;
+  if (!feed) return res.status(404).json({ error: 'Not streaming' });
+  if (findBan(channel.name, { ip: clientIp(req.ip) })) return res.status(403).json({ error: 'Banned from this channel' });
+  if (isChannelFull(channel)) return res.status(503).json({ error: 'Channel is full' });
+
+  // Players can't run the /auth/listen flow, so the join code (or a session) rides in the query string
+  const { code, session } = req.query;
+  const authorized = sessions.get(String(session));
+  if (channel.joinCode && !(authorized && (authorized.role === 'host' || authorized.channel === channel.name))) {
+    const ip = req.ip;
+    if (tooManyAttempts(ip)) return res.status(429).json({ error: 'Too many attempts, try again later' });
+    if (!(code && safeEqual(String(code).trim(), channel.joinCode))) {
+      if (code) recordFailedAttempt(ip);
+      return res.status(401).json({ error: code ? 'Wrong join code' : 'Join code required', codeRequired: true });
+    }
+  }
+
+  res.writeHead(200, {
+    'Content-Type': feed.mimeType,
+    'Cache-Control': 'no-cache, no-store',
+    'icy-name': `Live Audio Share - ${channel.name}`
+  });
+  if (req.method === 'HEAD') return res.end();
+  res.flushHeaders();
+
+  addPlayer(feed, res);
+  log.info('📻 HTTP listener joined', { channel: channel.name, ip: req.ip });
+  channel.broadcast?.listenerSeen(`http:${req.ip}`);
+  metrics.listenerJoined('http');
+  broadcastStats(channel);
+  req.on('close', () => {
+    feed.clients.delete(res);
+    log.info('📻 HTTP listener left', { channel: channel.name, ip: req.ip });
+    metrics.listenerLeft('http');
+    if (channels.get(channel.name) === channel) broadcastStats(channel);
+  });
+});
+
+app.get('/metrics', async (_, res) => {
+  res.type(metrics.contentType).send(await metrics.render());
+});
+
+// Readiness: 503 while the HTTP or socket server is down (starting, shutting down).
+// `status` is 'ok' when at least one host is connected, 'idle' when none is.
+const healthReport = () => {
+  const all = [...channels.values()];
+  const socketServer = server.listening && !shuttingDown && !!io.engine;
+  const hosts = all.filter(c => c.hostSocketId);
+  return {
+    status: !socketServer ? 'unavailable' : hosts.length ? 'ok' : 'idle',
+    socketServer,
+    sockets: io.engine?.clientsCount || 0,
+    hostPresent: hosts.length > 0,
+    streaming: hosts.filter(c => c.streaming).map(c => c.name),
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  };
+};
+
 app.get('/health', (_, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  const report = healthReport();
+  res.status(report.socketServer ? 200 : 503).json(report);
 });
 
-app.get('/', requireHostAccess, (_, res) => {
+// Per-channel readiness for monitors watching one stream: 503 unless its host is connected
+app.get('/health/:channel', (req, res) => {
+  const report = healthReport();
+  const channel = channels.get(normalizeChannel(req.params.channel));
+  const hostPresent = !!channel?.hostSocketId;
+  res.status(report.socketServer && hostPresent ? 200 : 503).json({
+    ...report,
+    status: !report.socketServer ? 'unavailable' : hostPresent ? 'ok' : 'no-host',
+    channel: {
+      name: normalizeChannel(req.params.channel),
+      hostPresent,
+      streaming: !!channel?.streaming,
+      listeners: channel ? channel.viewers.size + (channel.feed?.clients.size || 0) : 0
+    }
+  });
+});
+
+app.get(['/', '/host/:channel'], requireHostAccess, (_, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.get('/listen', (_, res) => {
+app.get('/login', (_, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+app.get(['/listen', '/listen/:channel'], (_, res) => {
   res.sendFile(path.join(__dirname, 'public', 'listen.html'));
 });
 
+// Certificate install page: phones need the self-signed certificate before they trust HTTPS
+app.get('/trust', (_, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'trust.html'));
+});
+
+app.get('/trust/info', (_, res) => {
+  const addresses = getNetworkAddresses();
+  res.json({
+    https: !!tls,
+    selfSigned: !!tls?.selfSigned,
+    fingerprint: tls?.fingerprint || null,
+    validTo: tls?.validTo || null,
+    hosts: tls?.hosts || [],
+    url: addresses[0]?.url || localUrl()
+  });
+});
+
+app.get('/ca.crt', (_, res) => {
+  if (!tls?.selfSigned) return res.status(404).json({ error: 'No self-signed certificate in use' });
+  res.set('Content-Disposition', 'attachment; filename="live-audio-share.crt"');
+  res.type('application/x-x509-ca-cert').send(tls.der);
+});
+
 // ─────────────────────────────────────────────────────────────
 // Startup
 // ─────────────────────────────────────────────────────────────
-server.listen(PORT, '0.0.0.0', () => {
+// Broadcasts a crash or kill -9 left open are closed at their last saved sample
+history.recover()
+  .then(count => count && log.warn('📒 Closed interrupted broadcasts', { count }))
+  .catch(e => log.error('Could not read history', { error: e }));
+
+// Served over the plain HTTP port too, so a phone can fetch the certificate before trusting it
+const TRUST_PATHS = ['/trust', '/trust/info', '/trust.js', '/styles.css', '/ca.crt'];
+
+if (REDIRECT_PORT) {
+  http.createServer((req, res) => {
+    if (TRUST_PATHS.includes(req.url.split('?')[0])) return app(req, res);
+    const host = (req.headers.host || 'localhost').replace(/:\d+$/, '');
+    res.writeHead(301, { Location: `https://${host}:${PORT}${req.url}` });
+    res.end();
+  }).listen(REDIRECT_PORT, BIND_ADDRESS);
+}
+
+let mdns = null;
+
+server.listen(PORT, BIND_ADDRESS, async () => {
   const addrs = getNetworkAddresses();
+  if (MDNS_HOST) {
+    mdns = advertise({
+      name: config.mdns.name,
+      port: PORT,
+      scheme: SCHEME,
+      bindAddress: BIND_ADDRESS,
+      onReady: host => log.debug('📡 mDNS announced', { host }),
+      onError: e => log.warn('📡 mDNS unavailable', { error: e })
+    });
+  }
 
-  console.log('\n═══════════════════════════════════════════════');
-  console.log('🔊  Live Audio Share (WebRTC)');
-  console.log('═══════════════════════════════════════════════');
-  console.log(`\n📱 Local: http://localhost:${PORT}`);
+  // Log collectors get one record instead of the banner and QR codes
+  if (log.format === 'json') {
+    log.info('🔊 Live Audio Share listening', {
+      url: localUrl(),
+      addresses: addrs.map(a => a.url),
+      mdns: mdnsUrl(),
+      https: !!tls,
+      fingerprint: tls?.fingerprint,
+      relayMode: RELAY_MODE,
+      ice: describeIceMode(),
+      schedules: scheduler.list().length,
+      configFile: config.configFile || undefined
+    });
+    if (HOST_PIN) log.info('🔑 Remote host PIN', { pin: HOST_PIN });
+    return;
+  }
+
+  log.info('\n═══════════════════════════════════════════════');
+  log.info('🔊  Live Audio Share (WebRTC)');
+  log.info('═══════════════════════════════════════════════');
+  log.info(`\n📱 Local: ${localUrl()}`);
+  if (config.configFile) log.info(`⚙️  Config: ${config.configFile}`);
+  if (HOST_PIN) log.info(`🔑 Remote host PIN: ${HOST_PIN}`);
+  if (tls) {
+    log.info(`🔒 HTTPS: ${tls.selfSigned ? `self-signed certificate${tls.generated ? ' (new)' : ''}, install it on phones from /trust` : 'configured certificate'}`);
+    log.info(`   SHA-256 ${tls.fingerprint}`);
+  }
+  if (REDIRECT_PORT) log.info(`↪️  HTTP port ${REDIRECT_PORT} redirects to HTTPS`);
+  if (MDNS_HOST) log.info(`📡 mDNS: ${mdnsUrl()}`);
+  log.info(`🧊 ICE: ${describeIceMode()}`);
+  log.info(`🔀 Relay: ${RELAY_MODE === 'sfu' ? 'SFU (server forwards one host track)' : 'peer-to-peer (host connects to each listener)'}`);
+  log.info(`🎚️  Defaults: ${AUDIO_DEFAULTS.bitrateKbps}kbps, ${AUDIO_DEFAULTS.latencyMs}ms latency${MAX_LISTENERS ? `, max ${MAX_LISTENERS} listeners per channel` : ''}`);
 
   if (addrs.length) {
-    console.log('\n🌐 Network:');
-    addrs.forEach(({ interface: iface, url }) => console.log(`   ${iface}: ${url}`));
+    log.info('\n🌐 Network:');
+    addrs.forEach(({ interface: iface, url }) => log.info(`   ${iface}: ${url}`));
+
+    // One scannable code per address, pointing phones straight at the default channel's listener page
+    for (const { interface: iface, url } of addrs) {
+      const qr = await QRCode.toString(`${url}/listen`, { type: 'terminal', small: true });
+      log.info(`\n📷 Scan to listen (${iface}):\n${qr}`);
+    }
   }
 
-  console.log('\n📋 Endpoints: / | /listen | /stats | /health');
-  console.log('═══════════════════════════════════════════════\n');
+  const scheduled = scheduler.list().length;
+  if (scheduled) log.info(`⏰ Scheduled broadcasts: ${scheduled}, media from ${MEDIA_DIR}`);
+
+  log.info('\n📋 Endpoints: /host/:channel | /listen/:channel | /login | /stream/:channel | /channels | /recordings | /history | /schedules | /stats | /health | /metrics | /trust');
+  log.info('═══════════════════════════════════════════════\n');
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down...');
-  server.close(() => process.exit(0));
+  log.info('SIGTERM received, shutting down...');
+  shuttingDown = true;
+  scheduler.stop();
+  // Say goodbye on mDNS first so phones drop the cached hostname, and save running broadcasts
+  Promise.all([mdns?.stop(), ...[...channels.values()].map(c => (c.playout ? stopPlayout(c, 'shutdown') : endBroadcast(c, 'shutdown')))])
+    // io.close() also closes the HTTP server, after disconnecting sockets that would otherwise keep it open
+    .then(() => io.close(() => process.exit(0)));
 });
 
 module.exports = { app, server };
@@ -0,0 +1,117 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const { startServer, next } = require('./helpers');
+
+const PASSWORD = 'correct-horse';
+const CHANNEL = 'tests';
+
+// An address of this machine that isn't loopback, so requests to it arrive from a "LAN client"
+const lanAddress = Object.values(os.networkInterfaces()).flat()
+  .find((i) => i && i.family === 'IPv4' && !i.internal)?.address;
+
+let server;
+
+before(async () => {
+  server = await startServer({ BIND_ADDRESS: '0.0.0.0', HOST_PASSWORD: PASSWORD });
+});
+
+after(() => server.stop());
+
+// fetch() won't send a custom Host header, so LAN requests go through http
+const lanRequest = (method, route, headers = {}, body = null) => new Promise((resolve, reject) => {
+  const req = http.request({ method, host: lanAddress, port: server.port, path: route, headers }, (res) => {
+    res.resume();
+    res.on('end', () => resolve(res));
+  });
+  req.on('error', reject);
+  if (body) req.setHeader('content-type', 'application/json');
+  req.end(body && JSON.stringify(body));
+});
+
+const lanGet = (route, headers) => lanRequest('GET', route, headers);
+
+const connectError = (socket) => new Promise((resolve) => socket.once('connect_error', (e) => resolve(e.message)));
+
+test('host login checks the password', async () => {
+  let res = await server.post('/auth/host', { password: 'wrong' });
+  assert.equal(res.status, 401);
+  res = await server.post('/auth/host', { password: PASSWORD });
+  assert.equal(res.status, 200);
+  const session = await res.json();
+  assert.equal(session.role, 'host');
+  assert.ok(session.token && session.expiresAt > Date.now());
+});
+
+test('the host console needs a session when opened from another machine', { skip: !lanAddress && 'no LAN address' }, async () => {
+  let res = await lanGet('/host/tests');
+  assert.equal(res.statusCode, 302);
+  assert.match(res.headers.location, /^\/login\?channel=tests/);
+
+  res = await lanGet('/host/tests', { Host: 'localhost' });
+  assert.equal(res.statusCode, 302, 'a spoofed Host header is not localhost');
+
+  const { token } = await (await server.post('/auth/host', { password: PASSWORD })).json();
+  res = await lanGet(`/host/tests?session=${token}`);
+  assert.equal(res.statusCode, 200);
+
+  await server.post('/auth/logout', { token });
+  res = await lanGet(`/host/tests?session=${token}`);
+  assert.equal(res.statusCode, 302, 'logged out sessions stop working');
+});
+
+test('host API routes answer 401 to other machines without a session', { skip: !lanAddress && 'no LAN address' }, async () => {
+  const spoofed = { Host: 'localhost' };
+  for (const route of ['/recordings', '/history/sessions', '/history/sessions.csv', '/media', '/schedules']) {
+    assert.equal((await lanGet(route)).statusCode, 401, route);
+    assert.equal((await lanGet(route, spoofed)).statusCode, 401, `${route} with a spoofed Host header`);
+  }
+  const schedule = { channel: CHANNEL, title: 'Morning', startAt: new Date(Date.now() + 60000).toISOString(), durationMin: 5 };
+  assert.equal((await lanRequest('POST', '/schedules', spoofed, schedule)).statusCode, 401);
+  assert.equal((await lanRequest('DELETE', '/recordings/tests__1.ogg', spoofed)).statusCode, 401);
+
+  const { token } = await (await server.post('/auth/host', { password: PASSWORD })).json();
+  assert.equal((await lanGet('/recordings', { 'x-session-id': token })).statusCode, 200);
+  assert.equal((await lanGet(`/schedules?session=${token}`)).statusCode, 200);
+});
+
+test('listeners need the join code once the host sets one', async () => {
+  const host = server.connect(CHANNEL, { role: 'host' });
+  host.emit('register-host', { joinCode: 'ABC123' });
+  await next(host, ['host-confirmed']);
+
+  let res = await server.post('/auth/listen', { channel: CHANNEL });
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).codeRequired, true);
+  res = await server.post('/auth/listen', { channel: CHANNEL, code: 'nope' });
+  assert.equal(res.status, 401);
+
+  res = await server.post('/auth/listen', { channel: CHANNEL, code: ' ABC123 ' });
+  assert.equal(res.status, 200);
+  const { token, role, channel } = await res.json();
+  assert.deepEqual({ role, channel }, { role: 'listener', channel: CHANNEL });
+
+  const listener = server.connect(CHANNEL, { role: 'listener', token });
+  await next(listener, ['stats']);
+  const elsewhere = server.connect('other', { role: 'listener', token });
+  assert.equal(await connectError(elsewhere), 'unauthorized', 'listener sessions are for one channel');
+  host.close();
+});
+
+test('sockets without a session are refused', async () => {
+  const socket = server.connect(CHANNEL, { role: 'listener' });
+  assert.equal(await connectError(socket), 'unauthorized');
+});
+
+// Last: it locks this client out of both login routes for the rest of the window
+test('repeated failed logins are rate limited', async () => {
+  const statuses = [];
+  for (let i = 0; i < 6; i++) statuses.push((await server.post('/auth/host', { password: 'wrong' })).status);
+  // One failure already came from the login test
+  assert.deepEqual(statuses, [401, 401, 401, 401, 429, 429]);
+  const res = await server.post('/auth/host', { password: PASSWORD });
+  assert.equal(res.status, 429, 'even the right password waits out the window');
+});
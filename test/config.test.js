@@ -0,0 +1,92 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, usage, ConfigError } = require('../lib/config');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audioshare-config-'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const file = (name, text) => {
+  const target = path.join(dir, name);
+  fs.writeFileSync(target, text);
+  return target;
+};
+
+const load = (argv = [], env = {}) => loadConfig({ argv, env });
+
+const fails = (argv, env, message) => assert.throws(() => load(argv, env), (e) => e instanceof ConfigError && message.test(e.message));
+
+test('defaults apply when nothing is set', () => {
+  const config = load();
+  assert.equal(config.port, 3000);
+  assert.equal(config.relayMode, 'p2p');
+  assert.equal(config.mdns.enabled, true);
+  assert.equal(config.auth.hostPassword, null);
+  assert.deepEqual(config.ice.stunUrls, ['stun:stun.l.google.com:19302']);
+  assert.equal(config.configFile, null);
+});
+
+test('flags override the environment, which overrides the config file', () => {
+  const yaml = file('config.yaml', 'port: 4000\nmaxListeners: 10\nlogLevel: warn\nice:\n  lanOnly: true\n');
+  const config = load(['--config', yaml, '--port', '6000'], { PORT: '5000', MAX_LISTENERS: '20' });
+  assert.equal(config.port, 6000);
+  assert.equal(config.maxListeners, 20);
+  assert.equal(config.logLevel, 'warn');
+  assert.equal(config.ice.lanOnly, true);
+  assert.equal(config.configFile, yaml);
+});
+
+test('values are parsed from strings', () => {
+  const config = load(['--sfu', '--no-mdns', '--stun-urls', 'stun:a:1, stun:b:2'], { LAN_ONLY: 'yes', LOG_LEVEL: ' DEBUG ' });
+  assert.equal(config.relayMode, 'sfu');
+  assert.equal(config.mdns.enabled, false);
+  assert.deepEqual(config.ice.stunUrls, ['stun:a:1', 'stun:b:2']);
+  assert.equal(config.ice.lanOnly, true);
+  assert.equal(config.logLevel, 'debug');
+  assert.deepEqual(load([], { STUN_URLS: '' }).ice.stunUrls, [], 'an empty list variable means none');
+  assert.equal(load([], { PORT: '' }).port, 3000, 'other empty variables count as unset');
+});
+
+test('paths in a config file are relative to the file', () => {
+  const json = file('paths.json', JSON.stringify({ recordingsDir: 'rec', historyDir: '/var/history' }));
+  const config = load(['--config', json]);
+  assert.equal(config.recordingsDir, path.join(dir, 'rec'));
+  assert.equal(config.historyDir, '/var/history');
+});
+
+test('invalid settings name the setting and where it came from', () => {
+  fails([], { PORT: '70000' }, /^PORT must be an integer from 1 to 65535/);
+  fails(['--relay-mode', 'mesh'], {}, /^--relay-mode must be one of p2p, sfu/);
+  fails([], { MDNS: 'maybe' }, /^MDNS must be one of/);
+  fails(['--bogus'], {}, /--help/);
+  fails(['--config', file('unknown.json', '{"prot": 1, "ice": {"lanonly": true}}')], {}, /Unknown settings in .*: prot, ice\.lanonly/);
+  fails(['--config', file('broken.yaml', 'port: [')], {}, /Cannot parse config file/);
+  fails(['--config', file('list.json', '[1]')], {}, /must contain an object/);
+  fails(['--config', path.join(dir, 'missing.yaml')], {}, /Cannot read config file/);
+  fails(['--config', file('typed.json', JSON.stringify({ port: '80x' }))], {}, /typed\.json: port must be an integer/);
+});
+
+test('related settings are checked together', () => {
+  fails(['--tls-cert', 'cert.pem'], {}, /must be set together/);
+  fails(['--http-redirect-port', '8080'], {}, /needs HTTPS/);
+  fails(['--https', '--port', '8080', '--http-redirect-port', '8080'], {}, /must differ from port/);
+  assert.equal(load(['--tls-cert', 'c.pem', '--tls-key', 'k.pem']).tls.enabled, true, 'a certificate turns HTTPS on');
+
+  assert.equal(load(['--mdns-name', 'Studio.local']).mdns.name, 'studio');
+  fails(['--mdns-name', 'my studio'], {}, /mdns\.name must be a single hostname label/);
+});
+
+test('--help returns early and usage lists every option', () => {
+  assert.deepEqual(load(['--help', '--port', 'nope']), { help: true });
+  const text = usage();
+  for (const flag of ['--config', '--port', '--relay-mode', '--https', '--media-dir']) assert.ok(text.includes(flag), flag);
+});
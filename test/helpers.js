@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Test helpers: a throwaway server per test file, with its own port and data
+ * directory, plus Socket.IO clients that are closed when it stops.
+ */
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await check().catch(() => false)) return;
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  throw new Error('Timed out');
+};
+
+// Resolves with the first of `events` the socket receives, as [event, payload]
+const next = (socket, events, timeoutMs = 2000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ${events.join('/')} within ${timeoutMs}ms`)), timeoutMs);
+  const handler = (event, payload) => {
+    if (!events.includes(event)) return;
+    clearTimeout(timer);
+    socket.offAny(handler);
+    resolve([event, payload]);
+  };
+  socket.onAny(handler);
+});
+
+/**
+ * Starts server.js with every file it writes under a temporary directory.
+ * `env` adds to or overrides the defaults (e.g. BIND_ADDRESS, HOST_PASSWORD).
+ */
+const startServer = async (env = {}) => {
+  const port = await freePort();
+  const base = `http://127.0.0.1:${port}`;
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audioshare-test-'));
+  const sockets = [];
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      BIND_ADDRESS: '127.0.0.1',
+      MDNS: 'off',
+      LOG_LEVEL: 'error',
+      RECORDINGS_DIR: path.join(dataDir, 'recordings'),
+      HISTORY_DIR: path.join(dataDir, 'history'),
+      BANS_FILE: path.join(dataDir, 'bans.json'),
+      SCHEDULES_FILE: path.join(dataDir, 'schedules.json'),
+      MEDIA_DIR: path.join(dataDir, 'media'),
+      ...env
+    },
+    stdio: 'ignore'
+  });
+
+  const isHealthy = async () => (await fetch(`${base}/health`)).ok;
+
+  const post = (route, body, headers = {}) => fetch(base + route, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(2000)
+  });
+
+  const connect = (channel, auth) => {
+    const socket = io(base, { query: { channel }, auth, transports: ['websocket'] });
+    sockets.push(socket);
+    return socket;
+  };
+
+  const stop = async () => {
+    sockets.forEach((socket) => socket.close());
+    if (child.exitCode === null) {
+      const exited = new Promise((r) => child.once('exit', r));
+      child.kill('SIGTERM');
+      await exited;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  await waitFor(isHealthy);
+  return { base, port, dataDir, child, isHealthy, post, connect, stop };
+};
+
+module.exports = { startServer, next, waitFor };
@@ -0,0 +1,116 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistory } = require('../lib/history');
+
+let dir;
+let count = 0;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audioshare-history-'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Each test gets its own folder so listings don't see other tests' broadcasts
+const history = () => {
+  const errors = [];
+  const h = createHistory({ dir: path.join(dir, String(count++)), onError: (e) => errors.push(e) });
+  return { ...h, errors };
+};
+
+test('a broadcast records peak and unique listeners, quality and recordings', async () => {
+  const h = history();
+  const tracker = h.start({ channel: 'main', hostIp: '192.0.2.7', listeners: 1 });
+  tracker.listenerSeen('device-a');
+  tracker.update(3);
+  tracker.listenerSeen('device-b');
+  tracker.listenerSeen('device-a');
+  tracker.update(2);
+  tracker.addStats({ rttMs: 10, jitterMs: 2, lossPct: 0 });
+  tracker.addStats({ rttMs: 30, jitterMs: 4, lossPct: 1, bitrateKbps: 'fast' });
+  tracker.addRecording('main__1.ogg');
+
+  const record = await tracker.end('stopped');
+  assert.equal(record.id, tracker.id);
+  assert.equal(record.endReason, 'stopped');
+  assert.ok(record.endedAt >= record.startedAt);
+  assert.equal(record.host.ip, '192.0.2.7');
+  assert.equal(record.listeners.peak, 3);
+  assert.equal(record.listeners.unique, 2);
+  assert.equal(record.quality.reports, 2);
+  assert.deepEqual(record.quality.rttMs, { avg: 20, max: 30 });
+  assert.deepEqual(record.quality.lossPct, { avg: 0.5, max: 1 });
+  assert.equal(record.quality.bitrateKbps, null, 'non-numbers are not counted');
+  assert.deepEqual(record.recordings, ['main__1.ogg']);
+  assert.equal('timeline' in record, false, 'summaries leave out the timeline');
+
+  const saved = await h.get(tracker.id);
+  assert.equal(saved.endReason, 'stopped');
+  assert.ok(saved.timeline.length >= 2);
+  assert.deepEqual(h.errors, []);
+});
+
+test('list() filters by channel, newest first, and includes broadcasts in progress', async () => {
+  const h = history();
+  await h.start({ channel: 'main', hostIp: null, now: Date.now() - 2000 }).end('stopped');
+  await h.start({ channel: 'other', hostIp: null, now: Date.now() - 1000 }).end('stopped');
+  const live = h.start({ channel: 'main', hostIp: null });
+  await new Promise((r) => setTimeout(r, 50)); // listings find broadcasts by their file
+
+  const all = await h.list();
+  assert.deepEqual(all.map((r) => r.channel), ['main', 'other', 'main']);
+  assert.equal(all[0].inProgress, true);
+  assert.deepEqual((await h.list({ channel: 'other' })).map((r) => r.channel), ['other']);
+  await live.end('stopped');
+});
+
+test('remove() deletes finished broadcasts and refuses running ones', async () => {
+  const h = history();
+  const done = h.start({ channel: 'main', hostIp: null, now: Date.now() - 1000 });
+  await done.end('stopped');
+  const live = h.start({ channel: 'main', hostIp: null });
+
+  await assert.rejects(h.remove(live.id), /in progress/);
+  assert.equal(await h.remove(done.id), true);
+  assert.equal(await h.remove(done.id), false);
+  assert.equal(await h.remove('../../etc/passwd'), false);
+  assert.equal(await h.get('../secrets'), null);
+  await live.end('stopped');
+});
+
+test('recover() closes broadcasts a crash left open', async () => {
+  const folder = path.join(dir, 'crashed');
+  const crashed = createHistory({ dir: folder });
+  const open = crashed.start({ channel: 'main', hostIp: null, listeners: 4 });
+  await new Promise((r) => setTimeout(r, 50)); // let the first save land
+
+  // A new process after the crash: nothing is active, the file is still open
+  const restarted = createHistory({ dir: folder });
+  assert.equal(await restarted.recover(), 1);
+  const record = await restarted.get(open.id);
+  assert.equal(record.endReason, 'interrupted');
+  assert.equal(record.endedAt, record.updatedAt);
+  assert.deepEqual(record.timeline.at(-1), [record.updatedAt, 4]);
+  assert.equal(await restarted.recover(), 0);
+});
+
+test('toCsv() writes a header and quotes cells that need it', async () => {
+  const h = history();
+  const tracker = h.start({ channel: 'main', hostIp: '192.0.2.7', schedule: { id: 's1', title: 'Morning, "live"' } });
+  tracker.addStats({ rttMs: 12 });
+  const record = await tracker.end('stopped');
+
+  const [header, row, end] = h.toCsv([record]).split('\n');
+  const columns = header.split(',');
+  assert.deepEqual(columns.slice(0, 5), ['id', 'channel', 'started_at', 'ended_at', 'end_reason']);
+  assert.ok(columns.includes('rttMs_avg') && columns.includes('listener_minutes'));
+  assert.ok(row.includes('"Morning, ""live"""'));
+  assert.ok(row.startsWith(`${record.id},main,${new Date(record.startedAt).toISOString()},`));
+  assert.equal(end, '', 'ends with a newline');
+  assert.equal(h.toCsv([]), `${header}\n`);
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPlayout, readOpusFile, packetSamples } = require('../lib/playout');
+
+// CELT fullband 20 ms mono frame of silence (TOC config 31, code 0)
+const SILENCE = Buffer.from([0xf8, 0xff, 0xfe]);
+
+const CRC_TABLE = new Uint32Array(256).map((_, i) => {
+  let r = i << 24;
+  for (let k = 0; k < 8; k++) r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+  return r >>> 0;
+});
+const crc = (buffer) => {
+  let c = 0;
+  for (const byte of buffer) c = ((c << 8) ^ CRC_TABLE[((c >>> 24) ^ byte) & 0xff]) >>> 0;
+  return c;
+};
+
+// A minimal Ogg Opus file: header pages, then `count` packets on one page
+const oggOpusFile = (count, packet = SILENCE) => {
+  let sequence = 0;
+  const page = (packets, flags, granule) => {
+    const lacing = packets.map((p) => p.length);
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write('OggS', 0, 'latin1');
+    header[5] = flags;
+    header.writeBigUInt64LE(BigInt(granule), 6);
+    header.writeUInt32LE(7, 14);
+    header.writeUInt32LE(sequence++, 18);
+    header[26] = lacing.length;
+    Buffer.from(lacing).copy(header, 27);
+    const data = Buffer.concat([header, ...packets]);
+    data.writeUInt32LE(crc(data), 22);
+    return data;
+  };
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'latin1');
+  head[8] = 1;
+  head[9] = 1;
+  head.writeUInt32LE(48000, 12);
+  const tags = Buffer.alloc(16);
+  tags.write('OpusTags', 0, 'latin1');
+  const audio = Array.from({ length: count }, () => packet);
+  return Buffer.concat([page([head], 0x02, 0), page([tags], 0, 0), page(audio, 0x04, count * 960)]);
+};
+
+// Splits the writer's output back into pages, checking each one's CRC
+const parsePages = (data) => {
+  const pages = [];
+  for (let at = 0; at < data.length;) {
+    assert.equal(data.toString('latin1', at, at + 4), 'OggS');
+    const segments = data[at + 26];
+    const size = 27 + segments + data.subarray(at + 27, at + 27 + segments).reduce((a, b) => a + b, 0);
+    const page = Buffer.from(data.subarray(at, at + size));
+    const stored = page.readUInt32LE(22);
+    page.writeUInt32LE(0, 22);
+    assert.equal(crc(page), stored, 'page CRC');
+    pages.push({ flags: page[5], granule: page.readBigUInt64LE(6), sequence: page.readUInt32LE(18), segments });
+    at += size;
+  }
+  return pages;
+};
+
+let dir;
+const file = (name, data) => {
+  const target = path.join(dir, name);
+  fs.writeFileSync(target, data);
+  return target;
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audioshare-playout-'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Resolves with everything the playout reported once it ends by itself
+const play = (files, { stopOnEnd = false } = {}) => new Promise((resolve) => {
+  const seen = { packets: 0, samples: 0, ogg: [], tracks: [], errors: [], ends: 0 };
+  const playout = createPlayout({
+    files,
+    onPacket: (_, samples) => {
+      seen.packets++;
+      seen.samples += samples;
+    },
+    onOgg: (data) => seen.ogg.push(data),
+    onTrack: (name) => seen.tracks.push(name),
+    onError: (_, name) => seen.errors.push(name),
+    onEnd: () => {
+      seen.ends++;
+      // The server stops the playout from onEnd; give any stray writes a moment to show up
+      if (stopOnEnd) playout.stop();
+      setTimeout(() => resolve(seen), 100);
+    }
+  });
+});
+
+test('packetSamples reads the frame size and count from the TOC byte', () => {
+  assert.equal(packetSamples(SILENCE), 960);
+  assert.equal(packetSamples(Buffer.from([0x08])), 960); // SILK 20 ms
+  assert.equal(packetSamples(Buffer.from([0x18])), 2880); // SILK 60 ms
+  assert.equal(packetSamples(Buffer.from([0xf9])), 1920); // two 20 ms frames
+  assert.equal(packetSamples(Buffer.from([0xfb, 0x03])), 2880); // code 3, three frames
+  assert.equal(packetSamples(Buffer.alloc(0)), 0);
+});
+
+test('readOpusFile returns the audio packets and refuses other files', async () => {
+  const { channels, packets } = await readOpusFile(file('ten.opus', oggOpusFile(10)));
+  assert.equal(channels, 1);
+  assert.equal(packets.length, 10);
+  assert.deepEqual(packets[0], SILENCE);
+
+  await assert.rejects(readOpusFile(file('text.ogg', 'not an ogg file at all, just text')), /Not an Ogg file/);
+});
+
+test('plays files in order, skipping unreadable ones', async () => {
+  const seen = await play([file('one.opus', oggOpusFile(5)), file('broken.ogg', 'nope'), file('two.opus', oggOpusFile(5))]);
+  assert.deepEqual(seen.tracks, ['one', 'two']);
+  assert.deepEqual(seen.errors, ['broken']);
+  assert.equal(seen.packets, 10);
+  assert.equal(seen.ends, 1);
+});
+
+test('writes one continuous Ogg stream that ends exactly once', async () => {
+  const files = [file('a.opus', oggOpusFile(30)), file('b.opus', oggOpusFile(30))];
+  const seen = await play(files, { stopOnEnd: true });
+  const pages = parsePages(Buffer.concat(seen.ogg));
+
+  assert.equal(pages[0].flags, 0x02, 'stream starts with a BOS page');
+  assert.deepEqual(pages.map((p) => p.sequence), pages.map((_, i) => i), 'page sequence numbers have no gaps');
+  const last = pages.at(-1);
+  assert.equal(pages.filter((p) => p.flags & 0x04).length, 1, 'a single EOS page');
+  assert.equal(last.flags, 0x04, 'EOS comes last');
+  assert.equal(last.granule, BigInt(seen.samples), 'granule position counts every sample played');
+  assert.ok(pages.every((p) => p.segments <= 255));
+});
+
+test('stop() ends the stream and no more packets follow', async () => {
+  const packets = [];
+  const ogg = [];
+  let ended = false;
+  const playout = createPlayout({
+    files: [file('long.opus', oggOpusFile(200))],
+    onPacket: (packet) => packets.push(packet),
+    onOgg: (data) => ogg.push(data),
+    onEnd: () => { ended = true; }
+  });
+  await new Promise((r) => setTimeout(r, 200));
+  playout.stop();
+  playout.stop();
+  const sent = packets.length;
+  await new Promise((r) => setTimeout(r, 200));
+
+  assert.ok(sent > 0 && sent < 200);
+  assert.equal(packets.length, sent);
+  assert.equal(ended, false, 'onEnd is not called after stop()');
+  const pages = parsePages(Buffer.concat(ogg));
+  assert.equal(pages.filter((p) => p.flags & 0x04).length, 1);
+});
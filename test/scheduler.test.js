@@ -0,0 +1,129 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScheduler, ScheduleError } = require('../lib/scheduler');
+
+const MINUTE = 60 * 1000;
+
+let dir;
+let count = 0;
+const schedulers = [];
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audioshare-scheduler-'));
+});
+
+after(() => {
+  schedulers.forEach((s) => s.stop());
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A scheduler on its own file that records every callback; `schedules` pre-fills the file
+const scheduler = (schedules) => {
+  const file = path.join(dir, `schedules-${count++}.json`);
+  if (schedules) fs.writeFileSync(file, JSON.stringify({ schedules }));
+  const events = [];
+  const s = createScheduler({
+    file,
+    onStart: (schedule, run) => events.push(['start', schedule.id, run]),
+    onEnd: (schedule, reason) => events.push(['end', schedule.id, reason]),
+    onMissed: (schedule) => events.push(['missed', schedule.id]),
+    onError: (e) => events.push(['error', e])
+  });
+  schedulers.push(s);
+  return { ...s, file, events };
+};
+
+const until = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await new Promise((r) => setTimeout(r, 50));
+  }
+};
+
+const at = (offsetMs) => new Date(Date.now() + offsetMs).toISOString();
+
+test('add() checks its input', () => {
+  const s = scheduler();
+  const valid = { channel: 'main', title: 'Morning', startAt: at(MINUTE), durationMin: 30 };
+  for (const [change, message] of [
+    [{ title: ' ' }, /title/],
+    [{ startAt: 'tomorrow-ish' }, /startAt/],
+    [{ durationMin: 0 }, /durationMin/],
+    [{ durationMin: 1.5 }, /durationMin/],
+    [{ repeat: 'hourly' }, /repeat/],
+    [{ files: 'a.opus' }, /files/],
+    [{ startAt: at(-2 * MINUTE), durationMin: 1 }, /past/]
+  ]) {
+    assert.throws(() => s.add({ ...valid, ...change }), (e) => e instanceof ScheduleError && message.test(e.message));
+  }
+  const schedule = s.add({ ...valid, title: '  Morning  ' });
+  assert.equal(schedule.title, 'Morning');
+  assert.equal(schedule.repeat, 'once');
+  assert.equal(schedule.onAir, false);
+  assert.equal(schedule.nextStartsAt, new Date(valid.startAt).getTime());
+});
+
+test('a due schedule starts, shows as on air and ends when cancelled', async () => {
+  const s = scheduler();
+  const { id } = s.add({ channel: 'main', title: 'Soon', startAt: at(300), durationMin: 5 });
+  await until(() => s.events.some(([e]) => e === 'start'));
+
+  const [, , run] = s.events.find(([e]) => e === 'start');
+  assert.equal(run.endsAt - run.startsAt, 5 * MINUTE);
+  assert.equal(s.active('main').schedule.id, id);
+  assert.equal(s.upcoming('main').onAir, true);
+  assert.equal(s.active('other'), null);
+
+  assert.equal(s.remove(id), true);
+  assert.deepEqual(s.events.at(-1), ['end', id, 'cancelled']);
+  assert.equal(s.active('main'), null);
+  assert.equal(s.remove(id), false);
+});
+
+test('schedules are saved and read back', async () => {
+  const s = scheduler();
+  const { id } = s.add({ channel: 'main', title: 'Weekly', startAt: at(MINUTE), durationMin: 10, repeat: 'weekly', files: ['a.opus'] });
+  await until(() => fs.existsSync(s.file) && JSON.parse(fs.readFileSync(s.file, 'utf8')).schedules.length === 1);
+
+  const reloaded = createScheduler({ file: s.file, onStart: () => { }, onEnd: () => { } });
+  schedulers.push(reloaded);
+  const [schedule] = reloaded.list();
+  assert.equal(schedule.id, id);
+  assert.deepEqual(schedule.files, ['a.opus']);
+});
+
+test('a restart during a slot picks the broadcast up for the rest of it', async () => {
+  const startAt = at(-2 * MINUTE);
+  const s = scheduler([{ id: 'midway', channel: 'main', title: 'Midway', startAt, durationMin: 10, repeat: 'once', files: [] }]);
+  await until(() => s.events.length > 0);
+  assert.deepEqual(s.events[0], ['start', 'midway', { startsAt: new Date(startAt).getTime(), endsAt: new Date(startAt).getTime() + 10 * MINUTE }]);
+});
+
+test('a one-off whose whole slot passed while down is reported and dropped', async () => {
+  const s = scheduler([{ id: 'gone', channel: 'main', title: 'Gone', startAt: at(-30 * MINUTE), durationMin: 10, repeat: 'once', files: [] }]);
+  await until(() => s.events.length > 0);
+  assert.deepEqual(s.events, [['missed', 'gone']]);
+  assert.deepEqual(s.list(), []);
+});
+
+test('repeating schedules come round again at the same time of day', () => {
+  const s = scheduler();
+  const first = new Date(Date.now() - 3 * 24 * 60 * MINUTE + 5 * MINUTE);
+  const daily = s.add({ channel: 'main', title: 'Daily', startAt: first.toISOString(), durationMin: 1, repeat: 'daily' });
+  const next = new Date(daily.nextStartsAt);
+  assert.ok(daily.nextStartsAt > Date.now() && daily.nextStartsAt - Date.now() <= 24 * 60 * MINUTE);
+  assert.deepEqual([next.getHours(), next.getMinutes()], [first.getHours(), first.getMinutes()]);
+
+  const weekly = s.add({ channel: 'other', title: 'Weekly', startAt: first.toISOString(), durationMin: 1, repeat: 'weekly' });
+  assert.equal(new Date(weekly.nextStartsAt).getDay(), first.getDay());
+  assert.ok(weekly.nextStartsAt > Date.now());
+
+  const weekdays = s.add({ channel: 'third', title: 'Weekdays', startAt: first.toISOString(), durationMin: 1, repeat: 'weekdays' });
+  assert.ok(![0, 6].includes(new Date(weekdays.nextStartsAt).getDay()));
+});
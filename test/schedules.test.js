@@ -0,0 +1,48 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+const morning = () => ({ channel: 'tests', title: 'Morning', startAt: new Date(Date.now() + 60000).toISOString(), durationMin: 5 });
+
+test('POST /schedules answers 500 when the media folder cannot be read', async () => {
+  const mediaDir = path.join(server.dataDir, 'media');
+  fs.mkdirSync(mediaDir, { recursive: true });
+  fs.symlinkSync(path.join(server.dataDir, 'missing.opus'), path.join(mediaDir, 'dangling.opus'));
+  try {
+    const res = await server.post('/schedules', morning());
+    assert.equal(res.status, 500);
+    assert.ok((await res.json()).error);
+  } finally {
+    fs.rmSync(path.join(mediaDir, 'dangling.opus'));
+  }
+});
+
+test('schedules can be created, listed and cancelled over HTTP', async () => {
+  let res = await server.post('/schedules', { ...morning(), files: ['nope.opus'] });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /nope\.opus/);
+  res = await server.post('/schedules', { ...morning(), durationMin: 0 });
+  assert.equal(res.status, 400);
+
+  res = await server.post('/schedules', morning());
+  assert.equal(res.status, 201);
+  const { id } = await res.json();
+  const { schedules } = await (await fetch(`${server.base}/schedules?channel=tests`)).json();
+  assert.deepEqual(schedules.map((s) => s.id), [id]);
+
+  const remove = () => fetch(`${server.base}/schedules/${id}`, { method: 'DELETE' });
+  assert.equal((await remove()).status, 200);
+  assert.equal((await remove()).status, 404);
+});
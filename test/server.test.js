@@ -0,0 +1,20 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test('reports healthy once listening', async () => {
+  const res = await fetch(`${server.base}/health`);
+  assert.equal(res.status, 200);
+  const report = await res.json();
+  assert.equal(report.socketServer, true);
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, next } = require('./helpers');
+
+const CHANNEL = 'tests';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+// One streaming host for the whole file, connected by the first test that needs it
+let host;
+const streamingHost = async () => {
+  if (host) return host;
+  host = server.connect(CHANNEL, { role: 'host' });
+  host.emit('register-host', {});
+  await next(host, ['host-confirmed']);
+  host.emit('announce-streaming');
+  return host;
+};
+
+const connectListener = async () => {
+  const { token } = await (await server.post('/auth/listen', { channel: CHANNEL })).json();
+  const listener = server.connect(CHANNEL, { role: 'listener', token });
+  await next(listener, ['stats']);
+  return listener;
+};
+
+test('viewer-join refuses null profile fields instead of crashing', async () => {
+  await streamingHost();
+  for (const field of ['sources', 'dataSaver', 'device']) {
+    const listener = await connectListener();
+    listener.emit('viewer-join', { [field]: null });
+    const [event, payload] = await next(listener, ['signal-error']);
+    assert.equal(event, 'signal-error');
+    assert.equal(payload.event, 'viewer-join');
+    assert.equal(payload.code, 'invalid-payload');
+  }
+  assert.equal(server.child.exitCode, null);
+  assert.ok(await server.isHealthy());
+});
+
+test('now-playing treats null fields as empty', async () => {
+  const hostSocket = await streamingHost();
+  hostSocket.emit('now-playing', { title: null, artist: 'Artist', artwork: null });
+  const [, nowPlaying] = await next(hostSocket, ['now-playing']);
+  assert.equal(nowPlaying.title, '');
+  assert.equal(nowPlaying.artist, 'Artist');
+  assert.equal(nowPlaying.artwork, '');
+
+  hostSocket.emit('now-playing', { title: null, artist: null });
+  assert.deepEqual(await next(hostSocket, ['now-playing']), ['now-playing', null]);
+  assert.ok(await server.isHealthy());
+});
+
+test('tune-settings keeps the fields a host leaves out', async () => {
+  const hostSocket = await streamingHost();
+  hostSocket.emit('tune-settings', { latency: 300, bitrateKbps: 128, syncMode: false });
+  await next(hostSocket, ['tune-settings']);
+  hostSocket.emit('tune-settings', { latency: 500 });
+  const [, tuning] = await next(hostSocket, ['tune-settings']);
+  assert.deepEqual(tuning, { latency: 500, bitrateKbps: 128, syncMode: false });
+});
+
+test('tune-settings refuses keys it does not know', async () => {
+  const hostSocket = await streamingHost();
+  for (const key of ['constructor', 'toString', 'codec']) {
+    hostSocket.emit('tune-settings', { latency: 200, [key]: 'x' });
+    const [event, payload] = await next(hostSocket, ['signal-error', 'tune-settings']);
+    assert.equal(event, 'signal-error', key);
+    assert.equal(payload.code, 'invalid-payload');
+  }
+  hostSocket.emit('tune-settings', { syncMode: false });
+  const [, tuning] = await next(hostSocket, ['tune-settings']);
+  assert.deepEqual(Object.keys(tuning).sort(), ['bitrateKbps', 'latency', 'syncMode']);
+  assert.notEqual(tuning.latency, 200);
+});
+
+test('events are checked for role, payload shape and rate', async () => {
+  await streamingHost();
+  const listener = await connectListener();
+  listener.emit('viewer-join', {});
+  await next(listener, ['tune-settings']);
+
+  listener.emit('tune-settings', { latency: 0 });
+  let [, error] = await next(listener, ['signal-error']);
+  assert.deepEqual([error.event, error.code], ['tune-settings', 'forbidden'], 'listeners cannot retune the channel');
+
+  listener.emit('volume-request', 'up');
+  [, error] = await next(listener, ['signal-error']);
+  assert.deepEqual([error.event, error.code], ['volume-request', 'invalid-payload']);
+
+  // volume-request allows 5 per window, and the malformed one above counted
+  const errors = [];
+  listener.on('signal-error', (e) => errors.push(e.code));
+  for (let i = 0; i < 6; i++) listener.emit('volume-request', { direction: 'up' });
+  await new Promise((r) => setTimeout(r, 300));
+  assert.deepEqual(errors, ['rate-limited', 'rate-limited']);
+});